@@ -6,6 +6,20 @@
 // http://opensource.org/licenses/mit-license.php
 // ----------------------------------------------------------------------------
 // Version
+// 1.18.0 2026/10/19 Added critical hit statistics for each battler.
+// 1.17.0 2026/10/19 Added alternative effects for critical hits of enemy characters in front view.
+// 1.16.0 2026/10/19 Added a function to multiply state infliction and accumulation on critical hits.
+// 1.15.0 2026/10/19 Added a preview of the critical probability in target selection and critical information on the status screen.
+// 1.14.0 2026/10/19 Added placeholders and random selection to critical messages.
+// 1.13.0 2026/10/19 Added styles of the damage popup for critical hits.
+// 1.12.0 2026/10/19 Added cut-in pictures that are displayed on critical hits.
+// 1.11.0 2026/10/19 Added follow-up effects that occur on critical hits.
+// 1.10.0 2026/10/19 Added critical pity and critical streak dampening.
+// 1.9.0 2026/10/19 Added rules that boost, guarantee or block critical hits under specific conditions.
+// 1.8.0 2026/10/19 Added tags that change the critical damage rate of the attacker.
+// 1.7.0 2026/10/19 Added tags that reduce critical hits and critical damage received.
+// 1.6.0 2026/10/19 Added multiple critical tiers.
+// 1.5.0 2026/10/19 Changed critical hits to be judged for each hit, and critical effects to apply only to the targets that were actually hit by a critical hit.
 // 1.4.1 2022/01/30 Fixed an issue where critical hits would be judged even if the damage type of a skill was changed to "None" after setting the critical hit to "Yes."
 // 1.4.0 2022/01/26 Added a function to suppress the default critical message when a dedicated critical message is displayed.
 // 1.3.1 2021/08/22 Fixed an issue where sound effects were played even when it was not a critical hit due to the fix in 1.3.0.
@@ -29,6 +43,7 @@
  * @url https://github.com/triacontane/RPGMakerMV/tree/mz_master/CustomizeCritical.js
  * @base PluginCommonBase
  * @orderAfter PluginCommonBase
+ * @orderAfter AccumulateState
  * @author Triacontane
  *
  * @param commonFormula
@@ -60,6 +75,227 @@
  * @default false
  * @type boolean
  *
+ * @param damageRateCalc
+ * @text Damage Rate Calculation
+ * @desc How multiple <CCDamageRate> tags are combined.
+ * @default multiply
+ * @type select
+ * @option Multiply
+ * @value multiply
+ * @option Add
+ * @value add
+ *
+ * @param criticalStateRate
+ * @text Critical State Rate
+ * @desc The rate (%) applied to the state infliction chance of skills on critical hits. If specified in the memo field, that will take precedence.
+ * @default 100
+ * @type number
+ *
+ * @param tierList
+ * @text Critical Tier List
+ * @desc Higher critical tiers. The first entry is tier 2, the next is tier 3 and so on.
+ * @default []
+ * @type struct<Tier>[]
+ *
+ * @param ruleList
+ * @text Critical Rule List
+ * @desc Rules that boost, guarantee or block critical hits when their conditions are met.
+ * @default []
+ * @type struct<Rule>[]
+ *
+ * @param pityStep
+ * @text Pity Step
+ * @desc Each hit that is not a critical hit adds this value (%) to the next critical probability until a critical hit occurs.
+ * @default 0
+ * @type number
+ *
+ * @param streakStep
+ * @text Streak Dampening Step
+ * @desc Each consecutive critical hit subtracts this value (%) from the next critical probability.
+ * @default 0
+ * @type number
+ *
+ * @param pityScope
+ * @text Pity Scope
+ * @desc The unit in which pity and streaks are tracked.
+ * @default battler
+ * @type select
+ * @option Per battler
+ * @value battler
+ * @option Per battler and skill
+ * @value skill
+ *
+ * @param showRateStatus
+ * @text Show Rate on Status
+ * @desc Displays the actor's base critical rate on the status screen.
+ * @default false
+ * @type boolean
+ *
+ * @param rateStatusName
+ * @text Rate Status Name
+ * @desc The name of the critical rate displayed on the status screen.
+ * @default Crit Rate
+ * @parent showRateStatus
+ *
+ * @param showDamageStatus
+ * @text Show Damage on Status
+ * @desc Displays the actor's critical damage multiplier on the status screen.
+ * @default false
+ * @type boolean
+ *
+ * @param damageStatusName
+ * @text Damage Status Name
+ * @desc The name of the critical damage multiplier displayed on the status screen.
+ * @default Crit Damage
+ * @parent showDamageStatus
+ *
+ * @param showPityStatus
+ * @text Show Pity on Status
+ * @desc Displays the actor's current pity value on the status screen.
+ * @default false
+ * @type boolean
+ *
+ * @param pityStatusName
+ * @text Pity Status Name
+ * @desc The name of the pity value displayed on the status screen.
+ * @default Crit Pity
+ * @parent showPityStatus
+ *
+ * @param followUpList
+ * @text Follow-up List
+ * @desc List of follow-up effects that occur on critical hits.
+ * @default []
+ * @type struct<FollowUp>[]
+ *
+ * @param cutInMotion
+ * @text Cut-in Motion
+ * @desc The motion of the cut-in picture.
+ * @default slideRight
+ * @type select
+ * @option Slide from left to right
+ * @value slideRight
+ * @option Slide from right to left
+ * @value slideLeft
+ * @option Fade in and out
+ * @value fade
+ *
+ * @param cutInDuration
+ * @text Cut-in Duration
+ * @desc The number of frames the cut-in is displayed. The battle log waits until it finishes.
+ * @default 60
+ * @type number
+ * @min 1
+ * @parent cutInMotion
+ *
+ * @param cutInBandColor
+ * @text Cut-in Band Color
+ * @desc The color of the band displayed behind the cut-in picture in CSS format. If blank, no band is displayed.
+ * @default rgba(0, 0, 0, 0.6)
+ * @parent cutInMotion
+ *
+ * @param cutInBandHeight
+ * @text Cut-in Band Height
+ * @desc The height of the band displayed behind the cut-in picture.
+ * @default 240
+ * @type number
+ * @min 1
+ * @parent cutInMotion
+ *
+ * @param cutInSe
+ * @text Cut-in Sound Effect
+ * @desc The sound effect to play when the cut-in starts.
+ * @default
+ * @type struct<SE>
+ * @parent cutInMotion
+ *
+ * @param popupStyleList
+ * @text Popup Style List
+ * @desc List of damage popup styles for critical hits. The first style that matches the tier and damage type is used.
+ * @default []
+ * @type struct<PopupStyle>[]
+ *
+ * @param showPreview
+ * @text Show Critical Preview
+ * @desc Displays the critical probability against the selected target while selecting a target in battle.
+ * @default false
+ * @type boolean
+ *
+ * @param previewLabel
+ * @text Preview Label
+ * @desc The label of the critical probability preview.
+ * @default Critical
+ * @parent showPreview
+ *
+ * @param frontViewEffectList
+ * @text Front View Effect List
+ * @desc List of alternative effects used when an enemy character makes a critical hit in front view.
+ * @default []
+ * @type struct<FrontViewEffect>[]
+ *
+ * @param frontViewEffect
+ * @text Default Front View Effect
+ * @desc The identifier of the front view effect used for enemy characters without the memo field setting.
+ * @default
+ * @parent frontViewEffectList
+ *
+ * @command GET_STATS
+ * @text Get Critical Statistics
+ * @desc Stores the critical hit statistics of the specified actor or enemy character in a variable.
+ *
+ * @arg variableId
+ * @text Variable
+ * @desc The variable that stores the value.
+ * @default 1
+ * @type variable
+ *
+ * @arg actorId
+ * @text Actor ID
+ * @desc Target actor ID. If the target is an enemy character, leave it at 0.
+ * @default 0
+ * @type actor
+ *
+ * @arg enemyId
+ * @text Enemy Character ID
+ * @desc Target enemy character ID. Statistics of enemy characters are counted for each enemy character ID.
+ * @default 0
+ * @type enemy
+ *
+ * @arg scope
+ * @text Scope
+ * @desc The range of the statistics.
+ * @default total
+ * @type select
+ * @option Total of the save data
+ * @value total
+ * @option Current or last battle
+ * @value battle
+ *
+ * @arg stat
+ * @text Statistic
+ * @desc The kind of the value to store.
+ * @default landed
+ * @type select
+ * @option Critical hits landed
+ * @value landed
+ * @option Critical hits received
+ * @value received
+ * @option Largest critical damage
+ * @value maxDamage
+ * @option Hits of the skill
+ * @value skillHits
+ * @option Critical hits of the skill
+ * @value skillCrits
+ * @option Critical rate of the skill (%)
+ * @value skillRate
+ * @option Largest critical damage of the skill
+ * @value skillMaxDamage
+ *
+ * @arg skillId
+ * @text Skill ID
+ * @desc The skill ID used for the statistics of the skill.
+ * @default 0
+ * @type skill
+ *
  * @help This plugin customizes the probability, damage, and effects of critical hits.
  *
  * Write the following in the skill's memo field:
@@ -78,20 +314,151 @@
  * <CCProbChange: change value>
  * Example: <CCProbChange: \v[1]> // Occurs with a probability equal to the value of variable [1].
  *
- * - Apply a dedicated battle animation when a critical hit occurs.
+ * - Apply a dedicated battle animation to the targets hit by a critical hit.
+ *   Other targets are shown the skill's normal animation.
  * <CCAnimation: Battle Animation ID>
  *
+ * - Multiply the state infliction chance of the skill's effects and attack states on critical hits. (%)
+ * <CCStateRate: 200>
+ *
+ * For accumulative states of "AccumulateState.js", the accumulation is multiplied instead.
+ * In that case, place this plugin below "AccumulateState.js".
+ *
  * Adds effects when a critical hit occurs. Write the following in the memo field of either the actor, class, enemy character, weapon, armor, or state.
  * However, enemy character animations are not displayed in front view.
  *
  * - Display a production battle animation before execution.
  * <CCAnimation: Battle Animation ID>
  *
- * - Display a dedicated message before execution.
+ * Instead, effects registered in the parameter "Front View Effect List" can be used
+ * for enemy characters in front view. Write the identifier in the memo field of the enemy character.
+ * If omitted, the parameter "Default Front View Effect" is used.
+ * <CCFrontViewEffect: boss01>
+ *
+ * - Display a dedicated message when a critical hit occurs.
  * <CCMessage: Message content>
  *
- * * In the case of skills that target all enemies or attack multiple times, if even one critical hit is judged,
- * critical hit effects will be applied.
+ * The following placeholders and control characters such as \V[n] and \N[n] can be used in messages.
+ * {subject} : Name of the user
+ * {target}  : Name of the target
+ * {skill}   : Name of the skill or item
+ * {damage}  : Final damage (or recovery) of the hit
+ * Example: <CCMessage: {subject}'s {skill} tears through the {target} for {damage}!>
+ *
+ * Multiple messages can be separated by "|", and one of them is chosen at random.
+ * Example: <CCMessage: A critical hit!|{subject} strikes a vital spot!>
+ * The same applies to the parameter "Common Message" and the messages of tiers.
+ *
+ * - Display a cut-in picture (img/pictures) before execution.
+ *   It is also displayed for enemy characters in front view.
+ *   The motion, duration, band and sound effect are specified in the parameters.
+ * <CCCutIn: Picture file name>
+ *
+ * Pictures specified only in the memo field may be excluded
+ * when "Exclude unused files" is selected at deployment.
+ *
+ * The damage popup of critical hits can be styled with the parameter "Popup Style List".
+ * Styles can be set for each tier and damage type (HP damage, HP recovery, MP damage, MP recovery).
+ * The first style in the list that matches the hit is used.
+ *
+ * The following tags reduce the critical hits received by the battler.
+ * Write them in the memo field of the actor, class, enemy character, weapon, armor, or state.
+ *
+ * - Reduce the critical hit probability received by the specified value. (%) Values are summed.
+ * <CCResist: 30>
+ *
+ * - Cap the critical hit probability received at the specified value. (%) The lowest value is used.
+ * <CCResistCap: 10>
+ *
+ * - Never receive critical hits.
+ * <CCImmune>
+ *
+ * - Change the damage received from critical hits to the specified rate. (%) Values are multiplied.
+ * <CCReceiveRate: 50>
+ *
+ * - Critical hits deal the same damage as normal hits.
+ * <CCFlatten>
+ *
+ * These tags also apply to skills that change the probability with <CCProbChange>.
+ *
+ * The following tag changes the critical damage dealt by the battler.
+ * Write it in the memo field of the actor, class, enemy character, weapon, armor, or state.
+ *
+ * - Change the critical damage dealt to the specified rate. (%)
+ * <CCDamageRate: 150>
+ *
+ * Multiple tags are multiplied or added according to the parameter "Damage Rate Calculation".
+ * Example: 150 and 120 -> Multiply: 180%, Add: 170%
+ * The rate is applied to the default triple damage and the damage rate of tiers.
+ * It is not applied to formulas, but can be referenced from the local variable "rate" in them.
+ * Example: <CCFormula: normalDamage * 2 * rate>
+ *
+ * Critical hits can have multiple tiers such as Critical, Super Critical and Devastating.
+ * The normal critical hit is tier 1, and higher tiers are registered in the parameter "Critical Tier List".
+ * Each tier is judged only when the tier below it has succeeded.
+ * A tier without a formula or damage rate deals the same damage as tier 1.
+ *
+ * The settings of each tier can be overridden for each skill. (The number is the tier)
+ * <CCTier2Prob: Probability formula>   // Probability of tier 2 (%).
+ * <CCTier2Formula: JavaScript formula> // Formula of tier 2. "normalDamage" can be used.
+ * <CCTier2Rate: 400>                   // Damage rate of tier 2 (%).
+ * <CCTier2Message: Message content>    // Message of tier 2.
+ * <CCTier2Animation: Animation ID>     // Animation on the targets hit by tier 2.
+ * <CCTier2Se: SE file name>            // Sound effect of tier 2. (Volume 90, pitch 100, pan 0)
+ *
+ * The tier of the hit can be referenced from the local variable "tier" in the critical formula.
+ * Other plugins can refer to it with "target.result().criticalTier" (0 when not a critical hit).
+ *
+ * Rules that apply to all skills can be registered in the parameter "Critical Rule List".
+ * When all conditions specified in a rule are met, its effect is applied on top of
+ * <CCProbAdd> and <CCProbChange>. "Block" takes precedence over "Guarantee".
+ * Rules are not applied to skills whose damage type is "None".
+ *
+ * When the parameter "Pity Step" is specified, each hit that is not a critical hit
+ * raises the next critical probability until a critical hit occurs.
+ * When the parameter "Streak Dampening Step" is specified, each consecutive critical hit
+ * lowers the next critical probability until a hit that is not a critical hit occurs.
+ * They are tracked per battler, or per battler and skill, according to the parameter "Pity Scope".
+ * Each hit of a multi-hit or all-target skill is affected by the result of the previous hits.
+ * The current value (%) can be referenced with the following script.
+ * b.criticalPity()   // Per battler.
+ * b.criticalPity(10) // Per battler and skill. (Skill ID [10])
+ *
+ * When the parameter "Show Critical Preview" is enabled, the critical probability against
+ * the selected target is displayed while selecting a target in battle.
+ * It includes <CCProbAdd>, <CCProbChange>, rules, pity and the target's resistance.
+ * The status screen can display the base critical rate and the critical damage multiplier.
+ * Critical information is displayed in a separate window in the button area at the top of the status screen,
+ * so the parameters and the layout of the screen are not changed.
+ * The multiplier does not include the damage of formulas and tiers.
+ *
+ * Follow-up effects that occur on critical hits can be registered in the parameter "Follow-up List".
+ * Write the identifier in the memo field of the skill, or of the user's actor, class,
+ * enemy character, weapon, armor, or state.
+ * <CCFollowUp: followUp01>
+ *
+ * Follow-up effects occur each time a hit is a critical hit.
+ * A follow-up skill is executed after the current action ends, and only in battle.
+ * It does not replace the user's remaining actions in the turn; they are executed after it.
+ * When several follow-up skills trigger in one action, all of them are executed
+ * in the order they triggered. Follow-up skills do not trigger from counterattacks
+ * or other actions taken outside the user's own turn.
+ * To prevent follow-up skills from chaining endlessly, specify a trigger limit.
+ *
+ * Critical hit statistics are recorded for each actor and enemy character (per enemy character ID),
+ * both for the current battle and for the entire save data.
+ * Only hits of skills whose damage type is not "None" are counted, including counterattacks.
+ * Hits outside battle are counted only in the statistics of the entire save data.
+ * They can be stored in a variable with the plugin command, or referenced with the following script.
+ * b.criticalStats().landed            // Critical hits landed. (Entire save data)
+ * b.criticalStats(true).received      // Critical hits received. (Current battle)
+ * b.criticalStats().maxDamage         // Largest critical damage.
+ * b.criticalSkillRate(10)             // Critical rate of skill [10] (%).
+ * b.criticalSkillStats(10).maxDamage  // Largest critical damage of skill [10].
+ *
+ * * Critical hits are judged for each hit of skills that target all enemies, attack randomly or attack multiple times.
+ * The message is displayed for each hit that was a critical hit.
+ * The production animation is displayed once before execution if at least one hit is a critical hit.
  *
  * This plugin requires the base plugin 'PluginCommonBase.js'.
  * 'PluginCommonBase.js' is located in the following folder under the RPG Maker MZ installation folder:
@@ -137,10 +504,395 @@
  * @max 100
  */
 
+/*~struct~FrontViewEffect:
+ *
+ * @param id
+ * @text Identifier
+ * @desc Identifier. Please specify a unique value. This value is specified in the memo field.
+ * @default boss01
+ *
+ * @param flashColor
+ * @text Flash Color
+ * @desc The color of the screen flash in the format "red,green,blue,strength". (0-255)
+ * @default 255,255,255,170
+ *
+ * @param flashDuration
+ * @text Flash Duration
+ * @desc The number of frames of the screen flash. If 0, the screen does not flash.
+ * @default 0
+ * @type number
+ * @parent flashColor
+ *
+ * @param shakePower
+ * @text Shake Power
+ * @desc The power of the screen shake. (1-9)
+ * @default 5
+ * @type number
+ * @min 1
+ * @max 9
+ *
+ * @param shakeSpeed
+ * @text Shake Speed
+ * @desc The speed of the screen shake. (1-9)
+ * @default 5
+ * @type number
+ * @min 1
+ * @max 9
+ * @parent shakePower
+ *
+ * @param shakeDuration
+ * @text Shake Duration
+ * @desc The number of frames of the screen shake. If 0, the screen does not shake.
+ * @default 0
+ * @type number
+ * @parent shakePower
+ *
+ * @param blink
+ * @text Blink
+ * @desc Blinks the enemy character's sprite.
+ * @default false
+ * @type boolean
+ *
+ * @param pulseScale
+ * @text Pulse Scale
+ * @desc The maximum scale (%) of the enemy character's sprite pulse. If 100, it does not pulse.
+ * @default 100
+ * @type number
+ * @min 100
+ *
+ * @param pulseDuration
+ * @text Pulse Duration
+ * @desc The number of frames of the pulse.
+ * @default 30
+ * @type number
+ * @min 1
+ * @parent pulseScale
+ *
+ * @param animation
+ * @text Animation
+ * @desc The battle animation played on the enemy character. An animation whose display type is "Screen" is displayed full screen.
+ * @default 0
+ * @type animation
+ */
+
+/*~struct~PopupStyle:
+ *
+ * @param tier
+ * @text Tier
+ * @desc The critical tier this style applies to. If 0, it applies to all tiers.
+ * @default 0
+ * @type number
+ *
+ * @param damageType
+ * @text Damage Type
+ * @desc The damage type this style applies to.
+ * @default -1
+ * @type select
+ * @option All
+ * @value -1
+ * @option HP Damage
+ * @value 0
+ * @option HP Recovery
+ * @value 1
+ * @option MP Damage
+ * @value 2
+ * @option MP Recovery
+ * @value 3
+ *
+ * @param color
+ * @text Color
+ * @desc The color of the numbers in CSS format. (e.g. #ff4000) If blank, the default color is used.
+ * @default
+ *
+ * @param scale
+ * @text Scale Punch
+ * @desc The initial scale of the popup (%). It shrinks back to 100% shortly after.
+ * @default 150
+ * @type number
+ * @min 100
+ *
+ * @param shake
+ * @text Shake Power
+ * @desc The power of shaking the popup horizontally. If 0, it does not shake.
+ * @default 4
+ * @type number
+ *
+ * @param label
+ * @text Label
+ * @desc The label displayed above the numbers. If blank, no label is displayed.
+ * @default CRITICAL
+ *
+ * @param labelColor
+ * @text Label Color
+ * @desc The color of the label in CSS format. If blank, the color of the numbers is used.
+ * @default
+ * @parent label
+ */
+
+/*~struct~FollowUp:
+ *
+ * @param id
+ * @text Identifier
+ * @desc Identifier. Please specify a unique value. This value is specified in the memo field.
+ * @default followUp01
+ *
+ * @param state
+ * @text Target State
+ * @desc Applies the specified state to the target.
+ * @default 0
+ * @type state
+ *
+ * @param buffParam
+ * @text User Buff
+ * @desc Applies a buff of the specified parameter to the user.
+ * @default -1
+ * @type select
+ * @option None
+ * @value -1
+ * @option Max HP
+ * @value 0
+ * @option Max MP
+ * @value 1
+ * @option Attack
+ * @value 2
+ * @option Defense
+ * @value 3
+ * @option M.Attack
+ * @value 4
+ * @option M.Defense
+ * @value 5
+ * @option Agility
+ * @value 6
+ * @option Luck
+ * @value 7
+ *
+ * @param buffTurns
+ * @text Buff Turns
+ * @desc The number of turns of the buff.
+ * @default 3
+ * @type number
+ * @min 1
+ * @parent buffParam
+ *
+ * @param tp
+ * @text TP Gain
+ * @desc The user gains the specified amount of TP.
+ * @default 0
+ * @type number
+ * @min -100
+ * @max 100
+ *
+ * @param commonEvent
+ * @text Common Event
+ * @desc Reserves the specified common event.
+ * @default 0
+ * @type common_event
+ *
+ * @param skillId
+ * @text Follow-up Skill
+ * @desc The user is forced to use the specified skill on the same target after the current action.
+ * @default 0
+ * @type skill
+ *
+ * @param turnLimit
+ * @text Trigger Limit per Turn
+ * @desc The maximum number of times this effect occurs per user per turn. If 0, there is no limit.
+ * @default 1
+ * @type number
+ */
+
+/*~struct~Rule:
+ *
+ * @param effect
+ * @text Effect
+ * @desc The effect applied when the conditions are met.
+ * @default add
+ * @type select
+ * @option Add to probability
+ * @value add
+ * @option Guarantee critical hit
+ * @value guarantee
+ * @option Block critical hit
+ * @value block
+ *
+ * @param value
+ * @text Addition Value
+ * @desc The value (%) added to the probability when the effect is "Add to probability".
+ * @default 0
+ * @type number
+ * @min -100
+ * @max 100
+ * @parent effect
+ *
+ * @param targetState
+ * @text Target State
+ * @desc The condition is met when the target has the specified state.
+ * @default 0
+ * @type state
+ *
+ * @param targetWeak
+ * @text Target Weak to Element
+ * @desc The condition is met when the target's element rate for the skill is above 100%.
+ * @default false
+ * @type boolean
+ *
+ * @param targetRestricted
+ * @text Target Cannot Move
+ * @desc The condition is met when the target cannot move due to sleep, stun, etc.
+ * @default false
+ * @type boolean
+ *
+ * @param subjectHpRate
+ * @text User HP Below
+ * @desc The condition is met when the user's HP rate is below the specified value (%).
+ * @default 0
+ * @type number
+ * @max 100
+ *
+ * @param firstAction
+ * @text First Action
+ * @desc The condition is met on the user's first action in the battle.
+ * @default false
+ * @type boolean
+ *
+ * @param switchId
+ * @text Switch
+ * @desc The condition is met when the specified switch is ON.
+ * @default 0
+ * @type switch
+ *
+ * @param script
+ * @text Script
+ * @desc The condition is met when the script returns true. a:user b:target v:variables
+ * @default
+ */
+
+/*~struct~Tier:
+ *
+ * @param name
+ * @text Tier Name
+ * @desc The name of the tier. It is only used to identify it.
+ * @default Super Critical
+ *
+ * @param probability
+ * @text Probability Formula
+ * @desc Probability (%) of this tier, judged after the tier below it has succeeded. a:user b:target v:variables
+ * @default 10
+ *
+ * @param formula
+ * @text Formula
+ * @desc Damage formula of this tier. The original damage can be referenced from "normalDamage".
+ * @default
+ * @type multiline_string
+ *
+ * @param rate
+ * @text Damage Rate
+ * @desc Damage rate (%) of this tier, used instead of the default triple. Ignored if a formula is specified.
+ * @default 0
+ * @type number
+ *
+ * @param message
+ * @text Message
+ * @desc The message displayed when this tier occurs.
+ * @default
+ *
+ * @param se
+ * @text Sound Effect
+ * @desc The sound effect played when this tier occurs. If not specified, the common sound effect is played.
+ * @default
+ * @type struct<SE>
+ *
+ * @param animation
+ * @text Animation
+ * @desc The animation displayed on the targets hit by this tier instead of the skill's animation.
+ * @default 0
+ * @type animation
+ */
+
 (()=> {
     'use strict';
     const script = document.currentScript;
     const param = PluginManagerEx.createParameter(script);
+    if (!param.tierList) {
+        param.tierList = [];
+    }
+    if (!param.ruleList) {
+        param.ruleList = [];
+    }
+    if (!param.followUpList) {
+        param.followUpList = [];
+    }
+    if (!param.popupStyleList) {
+        param.popupStyleList = [];
+    }
+    if (!param.frontViewEffectList) {
+        param.frontViewEffectList = [];
+    }
+
+    const criticalTierTags = {
+        probability : ['確率', 'Prob'],
+        formula     : ['計算式', 'Formula'],
+        rate        : ['倍率', 'Rate'],
+        message     : ['メッセージ', 'Message'],
+        animation   : ['アニメ', 'Animation'],
+        se          : ['効果音', 'Se']
+    };
+
+    PluginManagerEx.registerCommand(script, 'GET_STATS', args => {
+        const key = args.actorId ? 'actor' + args.actorId : 'enemy' + args.enemyId;
+        const stats = findCriticalStats(args.scope, key);
+        $gameVariables.setValue(args.variableId, findCriticalStatValue(stats, args.stat, args.skillId));
+    });
+
+    const findCriticalStats = function(scope, key) {
+        const table = scope === 'battle' ? BattleManager.criticalStatsTable() : $gameSystem.criticalStatsTable();
+        return table[key] || {landed: 0, received: 0, maxDamage: 0, skills: {}};
+    };
+
+    const findOrCreateCriticalStats = function(scope, key) {
+        const table = scope === 'battle' ? BattleManager.createCriticalStatsTable() : $gameSystem.createCriticalStatsTable();
+        if (!table[key]) {
+            table[key] = {landed: 0, received: 0, maxDamage: 0, skills: {}};
+        }
+        return table[key];
+    };
+
+    const findOrCreateCriticalSkillStats = function(stats, skillKey) {
+        if (!stats.skills[skillKey]) {
+            stats.skills[skillKey] = {hits: 0, crits: 0, maxDamage: 0};
+        }
+        return stats.skills[skillKey];
+    };
+
+    const findCriticalStatValue = function(stats, stat, skillId) {
+        const skillStats = stats.skills[skillId] || {hits: 0, crits: 0, maxDamage: 0};
+        switch (stat) {
+            case 'skillHits':
+                return skillStats.hits;
+            case 'skillCrits':
+                return skillStats.crits;
+            case 'skillRate':
+                return skillStats.hits > 0 ? Math.round(skillStats.crits / skillStats.hits * 100) : 0;
+            case 'skillMaxDamage':
+                return skillStats.maxDamage;
+            default:
+                return stats[stat] || 0;
+        }
+    };
+
+    const calcCriticalPity = function(data) {
+        return data.miss * (param.pityStep || 0) - data.streak * (param.streakStep || 0);
+    };
+
+    const updateCriticalPityData = function(data, critical) {
+        if (critical) {
+            data.miss = 0;
+            data.streak++;
+        } else {
+            data.miss++;
+            data.streak = 0;
+        }
+    };
 
     //=============================================================================
     // Game_Action
@@ -155,6 +907,8 @@
                 const a     = this.subject();
                 const b     = target;
                 const v     = $gameVariables._data;
+                const tier  = target.result().criticalTier;
+                const rate  = a.criticalDamageRate();
                 const sign  = ([3, 4].contains(this.item().damage.type) ? -1 : 1);
                 const value = Math.max(eval(formula), 0) * sign;
                 return isNaN(value) ? 0 : value;
@@ -166,76 +920,537 @@
         }
     };
 
+    const _Game_Action_itemEffectAddNormalState = Game_Action.prototype.itemEffectAddNormalState;
+    Game_Action.prototype.itemEffectAddNormalState = function(target, effect) {
+        _Game_Action_itemEffectAddNormalState.call(this, target, this.applyCriticalStateRate(target, effect));
+    };
+
+    const _Game_Action_itemEffectAddAttackState = Game_Action.prototype.itemEffectAddAttackState;
+    Game_Action.prototype.itemEffectAddAttackState = function(target, effect) {
+        _Game_Action_itemEffectAddAttackState.call(this, target, this.applyCriticalStateRate(target, effect));
+    };
+
+    Game_Action.prototype.applyCriticalStateRate = function(target, effect) {
+        const rate = this.criticalStateRate();
+        if (!target.result().critical || rate === 1) {
+            return effect;
+        }
+        return Object.assign({}, effect, {value1: effect.value1 * rate});
+    };
+
+    Game_Action.prototype.criticalStateRate = function() {
+        const value = PluginManagerEx.findMetaValue(this.item(), ['CCステート倍率', 'CCStateRate']);
+        if (value) {
+            return value / 100;
+        }
+        return param.criticalStateRate ? param.criticalStateRate / 100 : 1;
+    };
+
     Game_Action.prototype.findCriticalFormula = function() {
+        const tier = this.criticalTier();
+        if (tier >= 2) {
+            const formula = this.findCriticalTierValue(tier, 'formula');
+            if (formula || this.findCriticalTierValue(tier, 'rate')) {
+                return formula;
+            }
+        }
         return PluginManagerEx.findMetaValue(this.item(), ['CC計算式', 'CCFormula']) || param.commonFormula;
     };
 
+    Game_Action.prototype.findCriticalTierValue = function(tier, key) {
+        const tags = criticalTierTags[key];
+        const value = PluginManagerEx.findMetaValue(this.item(), ['CC段階' + tier + tags[0], 'CCTier' + tier + tags[1]]);
+        if (value !== undefined && value !== null) {
+            return value;
+        }
+        const data = param.tierList[tier - 2];
+        return data ? data[key] : null;
+    };
+
+    Game_Action.prototype.criticalTier = function() {
+        return this._criticalHit ? this._criticalHit.tier : 0;
+    };
+
+    const _Game_Action_makeDamageValue = Game_Action.prototype.makeDamageValue;
+    Game_Action.prototype.makeDamageValue = function(target, critical) {
+        target.result().criticalTier = critical ? Math.max(this.criticalTier(), 1) : 0;
+        target.result().criticalAction = critical ? this : null;
+        if (critical && target.isCriticalFlatten()) {
+            target.result().critical = false;
+            const value = _Game_Action_makeDamageValue.call(this, target, false);
+            target.result().critical = true;
+            return value;
+        }
+        const value = _Game_Action_makeDamageValue.apply(this, arguments);
+        return critical ? Math.round(value * target.criticalReceiveRate()) : value;
+    };
+
     const _Game_Action_itemCri            = Game_Action.prototype.itemCri;
     Game_Action.prototype.itemCri = function(target) {
-        const queue = this._criticalQueue;
-        if (queue && queue.length > 0) {
-            return queue.shift() ? 1.0 : 0.0;
+        const hit = this._criticalHit;
+        if (hit) {
+            return hit.critical ? 1.0 : 0.0;
         } else {
-            return _Game_Action_itemCri.apply(this, arguments);
+            return this.criticalRate(target);
         }
     };
 
     Game_Action.prototype.judgeCritical = function(target) {
-        const changeValue = PluginManagerEx.findMetaValue(this.item(), ['CC確率変更', 'CCProbChange']);
-        let itemCritical;
-        if (changeValue) {
-            itemCritical = changeValue / 100;
-        } else {
-            if (this.item().damage.type === 0) {
-                return;
-            }
-            const addValue = PluginManagerEx.findMetaValue(this.item(), ['CC確率加算', 'CCProbAdd']);
-            itemCritical = _Game_Action_itemCri.apply(this, arguments) + (addValue ? addValue / 100 : 0);
+        const critical = Math.random() < this.criticalRate(target);
+        const tier = critical ? this.judgeCriticalTier(target) : 0;
+        this._criticalQueue.push({target: target, critical: critical, tier: tier});
+        if (this._criticalPityPreview) {
+            updateCriticalPityData(this._criticalPityPreview, critical);
         }
-        this._criticalQueue.push(Math.random() < itemCritical);
     };
 
-    Game_Action.prototype.initCriticalQueue = function() {
-        this._criticalQueue = [];
+    Game_Action.prototype.judgeCriticalTier = function(target) {
+        let tier = 1;
+        while (tier <= param.tierList.length && Math.random() < this.criticalTierRate(target, tier + 1)) {
+            tier++;
+        }
+        return tier;
     };
 
-    Game_Action.prototype.isCritical = function() {
-        if (!this._criticalQueue) {
-            return false;
+    Game_Action.prototype.criticalTierRate = function(target, tier) {
+        const formula = this.findCriticalTierValue(tier, 'probability');
+        if (!formula) {
+            return 0;
+        }
+        try {
+            const a = this.subject();
+            const b = target;
+            const v = $gameVariables._data;
+            const value = eval(String(formula));
+            return isNaN(value) ? 0 : value / 100;
+        } catch (e) {
+            console.error(e.stack);
+            return 0;
         }
-        return this._criticalQueue.some(function(critical) {
-            return critical;
-        })
     };
 
-    const _Game_Action_applyCritical      = Game_Action.prototype.applyCritical;
-    Game_Action.prototype.applyCritical = function(damage) {
-        const formula = this.findCriticalFormula();
-        return formula ? damage : _Game_Action_applyCritical.apply(this, arguments);
+    Game_Action.prototype.criticalRate = function(target) {
+        let rate = this.baseCriticalRate(target);
+        if (this.item().damage.type > 0) {
+            rate += this.currentCriticalPity() / 100;
+        }
+        rate = this.applyCriticalRules(target, rate);
+        return target.applyCriticalResistance(rate);
     };
 
-    //=============================================================================
-    // Game_Battler
-    //  Acquires the data object.
-    //=============================================================================
-    Game_Battler.prototype.findCriticalEffect = function(tags) {
-        let result = null;
-        this.traitObjects().some(obj => {
-            result = PluginManagerEx.findMetaValue(obj, tags);
-            return result !== null;
-        });
-        return result;
+    Game_Action.prototype.currentCriticalPity = function() {
+        if (this._criticalPityPreview) {
+            return calcCriticalPity(this._criticalPityPreview);
+        }
+        return this.subject().criticalPity(this.criticalPityKey());
     };
 
-    //=============================================================================
-    // BattleManager
+    Game_Action.prototype.criticalPityKey = function() {
+        if (param.pityScope !== 'skill') {
+            return 0;
+        }
+        return this.criticalItemKey();
+    };
+
+    Game_Action.prototype.criticalItemKey = function() {
+        return DataManager.isSkill(this.item()) ? this.item().id : 'item' + this.item().id;
+    };
+
+    const _Game_Action_apply = Game_Action.prototype.apply;
+    Game_Action.prototype.apply = function(target) {
+        _Game_Action_apply.apply(this, arguments);
+        const result = target.result();
+        if (this._criticalHit && result.isHit() && this.item().damage.type > 0) {
+            this.subject().updateCriticalPity(this.criticalPityKey(), result.critical);
+        }
+        if (result.isHit() && this.item().damage.type > 0) {
+            this.recordCriticalStats(target);
+        }
+        if (result.isHit() && result.critical) {
+            this.executeCriticalFollowUps(target);
+        }
+    };
+
+    Game_Action.prototype.recordCriticalStats = function(target) {
+        const result = target.result();
+        const damage = Math.abs(result.hpAffected ? result.hpDamage : result.mpDamage);
+        const scopes = $gameParty.inBattle() ? ['battle', 'total'] : ['total'];
+        scopes.forEach(scope => {
+            const stats = findOrCreateCriticalStats(scope, this.subject().criticalStatsKey());
+            const skillStats = findOrCreateCriticalSkillStats(stats, this.criticalItemKey());
+            skillStats.hits++;
+            if (result.critical) {
+                skillStats.crits++;
+                skillStats.maxDamage = Math.max(skillStats.maxDamage, damage);
+                stats.landed++;
+                stats.maxDamage = Math.max(stats.maxDamage, damage);
+                findOrCreateCriticalStats(scope, target.criticalStatsKey()).received++;
+            }
+        });
+    };
+
+    Game_Action.prototype.findCriticalFollowUps = function() {
+        const tags = ['CC追撃', 'CCFollowUp'];
+        const ids = this.subject().findCriticalEffectList(tags);
+        const itemId = PluginManagerEx.findMetaValue(this.item(), tags);
+        if (itemId) {
+            ids.unshift(itemId);
+        }
+        return ids.map(id => param.followUpList.find(data => data.id === id)).filter(data => !!data);
+    };
+
+    Game_Action.prototype.executeCriticalFollowUps = function(target) {
+        const subject = this.subject();
+        this.findCriticalFollowUps().forEach(data => {
+            if (!subject.canTriggerCriticalFollowUp(data)) {
+                return;
+            }
+            subject.countCriticalFollowUp(data);
+            this.executeCriticalFollowUp(data, subject, target);
+        });
+    };
+
+    Game_Action.prototype.setCriticalFollowUp = function() {
+        this._criticalFollowUp = true;
+    };
+
+    Game_Action.prototype.isCriticalFollowUp = function() {
+        return !!this._criticalFollowUp;
+    };
+
+    Game_Action.prototype.executeCriticalFollowUp = function(data, subject, target) {
+        if (data.state) {
+            target.addState(data.state);
+        }
+        if (data.buffParam >= 0) {
+            subject.addBuff(data.buffParam, data.buffTurns);
+        }
+        if (data.tp) {
+            subject.gainSilentTp(data.tp);
+        }
+        if (data.commonEvent) {
+            $gameTemp.reserveCommonEvent(data.commonEvent);
+        }
+        if (data.skillId && $gameParty.inBattle() && BattleManager._subject === subject) {
+            subject.reserveCriticalFollowUpAction(data.skillId, target.index());
+        }
+    };
+
+    Game_Action.prototype.applyCriticalRules = function(target, rate) {
+        if (this.item().damage.type === 0) {
+            return rate;
+        }
+        const rules = param.ruleList.filter(rule => this.checkCriticalRule(rule, target));
+        if (rules.some(rule => rule.effect === 'block')) {
+            return 0;
+        }
+        if (rules.some(rule => rule.effect === 'guarantee')) {
+            return 1;
+        }
+        return rules.reduce((value, rule) => value + (rule.value || 0) / 100, rate);
+    };
+
+    Game_Action.prototype.checkCriticalRule = function(rule, target) {
+        const subject = this.subject();
+        const conditions = [];
+        conditions.push(() => rule.targetState && !target.isStateAffected(rule.targetState));
+        conditions.push(() => rule.targetWeak && this.calcElementRate(target) <= 1);
+        conditions.push(() => rule.targetRestricted && target.canMove());
+        conditions.push(() => rule.subjectHpRate && subject.hpRate() * 100 >= rule.subjectHpRate);
+        conditions.push(() => rule.firstAction && subject.hasCriticalActed());
+        conditions.push(() => rule.switchId && !$gameSwitches.value(rule.switchId));
+        conditions.push(() => rule.script && !this.evalCriticalRuleScript(rule.script, target));
+        return !conditions.some(cond => cond.call(this));
+    };
+
+    Game_Action.prototype.evalCriticalRuleScript = function(script, target) {
+        try {
+            const a = this.subject();
+            const b = target;
+            const v = $gameVariables._data;
+            return eval(String(script));
+        } catch (e) {
+            console.error(e.stack);
+            return false;
+        }
+    };
+
+    Game_Action.prototype.baseCriticalRate = function(target) {
+        const changeValue = PluginManagerEx.findMetaValue(this.item(), ['CC確率変更', 'CCProbChange']);
+        if (changeValue) {
+            return changeValue / 100;
+        }
+        if (this.item().damage.type === 0) {
+            return 0;
+        }
+        const addValue = PluginManagerEx.findMetaValue(this.item(), ['CC確率加算', 'CCProbAdd']);
+        return _Game_Action_itemCri.call(this, target) + (addValue ? addValue / 100 : 0);
+    };
+
+    Game_Action.prototype.initCriticalQueue = function() {
+        this._criticalQueue = [];
+        this._criticalHit = null;
+        this._criticalHitIndex = 0;
+        const data = this.subject().findCriticalPityData(this.criticalPityKey());
+        this._criticalPityPreview = Object.assign({}, data);
+    };
+
+    Game_Action.prototype.clearCriticalPityPreview = function() {
+        this._criticalPityPreview = null;
+    };
+
+    Game_Action.prototype.startCriticalHit = function() {
+        const queue = this._criticalQueue;
+        this._criticalHit = queue ? queue[this._criticalHitIndex++] || null : null;
+    };
+
+    Game_Action.prototype.isCritical = function() {
+        if (!this._criticalQueue) {
+            return false;
+        }
+        return this._criticalQueue.some(hit => hit.critical);
+    };
+
+    Game_Action.prototype.isCriticalTarget = function(target) {
+        return this.findCriticalTargetTier(target) > 0;
+    };
+
+    Game_Action.prototype.findCriticalTargetTier = function(target) {
+        if (!this._criticalQueue) {
+            return 0;
+        }
+        return this._criticalQueue.reduce((tier, hit) => hit.target === target ? Math.max(tier, hit.tier) : tier, 0);
+    };
+
+    Game_Action.prototype.findCriticalAnimation = function(target) {
+        const tier = this.findCriticalTargetTier(target);
+        if (tier === 0) {
+            return 0;
+        }
+        const tierAnimation = tier >= 2 ? this.findCriticalTierValue(tier, 'animation') : 0;
+        return tierAnimation || PluginManagerEx.findMetaValue(this.item(), ['CCアニメ', 'CCAnimation']) || 0;
+    };
+
+    const _Game_Action_applyCritical      = Game_Action.prototype.applyCritical;
+    Game_Action.prototype.applyCritical = function(damage) {
+        const formula = this.findCriticalFormula();
+        if (formula) {
+            return damage;
+        }
+        const rate = this.criticalTier() >= 2 ? this.findCriticalTierValue(this.criticalTier(), 'rate') : 0;
+        const value = rate ? damage * rate / 100 : _Game_Action_applyCritical.apply(this, arguments);
+        return value * this.subject().criticalDamageRate();
+    };
+
+    //=============================================================================
+    // Game_ActionResult
+    //  Holds the tier and action of the critical hit.
+    //=============================================================================
+    const _Game_ActionResult_clear = Game_ActionResult.prototype.clear;
+    Game_ActionResult.prototype.clear = function() {
+        _Game_ActionResult_clear.apply(this, arguments);
+        this.criticalTier = 0;
+        this.criticalAction = null;
+    };
+
+    //=============================================================================
+    // Game_Battler
+    //  Acquires the data object.
+    //=============================================================================
+    Game_Battler.prototype.findCriticalEffect = function(tags) {
+        let result = null;
+        this.traitObjects().some(obj => {
+            result = PluginManagerEx.findMetaValue(obj, tags);
+            return result !== null;
+        });
+        return result;
+    };
+
+    const _Game_Battler_onBattleStart = Game_Battler.prototype.onBattleStart;
+    Game_Battler.prototype.onBattleStart = function(advantageous) {
+        _Game_Battler_onBattleStart.apply(this, arguments);
+        this._criticalActed = false;
+        this.clearCriticalFollowUpCount();
+    };
+
+    const _Game_Battler_onTurnEnd = Game_Battler.prototype.onTurnEnd;
+    Game_Battler.prototype.onTurnEnd = function() {
+        _Game_Battler_onTurnEnd.apply(this, arguments);
+        this.clearCriticalFollowUpCount();
+    };
+
+    Game_Battler.prototype.reserveCriticalFollowUpAction = function(skillId, targetIndex) {
+        const action = new Game_Action(this, true);
+        action.setSkill(skillId);
+        action.setTarget(targetIndex);
+        action.setCriticalFollowUp();
+        const index = this._actions.findIndex(data => !data.isCriticalFollowUp());
+        this._actions.splice(index >= 0 ? index : this._actions.length, 0, action);
+    };
+
+    Game_Battler.prototype.clearCriticalFollowUpCount = function() {
+        this._criticalFollowUpCount = {};
+    };
+
+    Game_Battler.prototype.canTriggerCriticalFollowUp = function(data) {
+        const count = (this._criticalFollowUpCount && this._criticalFollowUpCount[data.id]) || 0;
+        return !data.turnLimit || count < data.turnLimit;
+    };
+
+    Game_Battler.prototype.countCriticalFollowUp = function(data) {
+        if (!this._criticalFollowUpCount) {
+            this.clearCriticalFollowUpCount();
+        }
+        this._criticalFollowUpCount[data.id] = (this._criticalFollowUpCount[data.id] || 0) + 1;
+    };
+
+    Game_Battler.prototype.setCriticalActed = function() {
+        this._criticalActed = true;
+    };
+
+    Game_Battler.prototype.hasCriticalActed = function() {
+        return !!this._criticalActed;
+    };
+
+    Game_Battler.prototype.findCriticalEffectList = function(tags) {
+        return this.traitObjects()
+            .map(obj => PluginManagerEx.findMetaValue(obj, tags))
+            .filter(value => value !== undefined && value !== null);
+    };
+
+    Game_Battler.prototype.applyCriticalResistance = function(rate) {
+        if (this.isCriticalImmune()) {
+            return 0;
+        }
+        const resist = this.findCriticalEffectList(['CC耐性', 'CCResist']).reduce((sum, value) => sum + value, 0);
+        rate -= resist / 100;
+        const caps = this.findCriticalEffectList(['CC上限', 'CCResistCap']);
+        if (caps.length > 0) {
+            rate = Math.min(rate, Math.min(...caps) / 100);
+        }
+        return Math.max(rate, 0);
+    };
+
+    Game_Battler.prototype.isCriticalImmune = function() {
+        return this.findCriticalEffectList(['CC無効', 'CCImmune']).some(value => !!value);
+    };
+
+    Game_Battler.prototype.isCriticalFlatten = function() {
+        return this.findCriticalEffectList(['CC倍率無効', 'CCFlatten']).some(value => !!value);
+    };
+
+    Game_Battler.prototype.criticalDamageRate = function() {
+        const rates = this.findCriticalEffectList(['CCダメージ率', 'CCDamageRate']);
+        if (param.damageRateCalc === 'add') {
+            return rates.reduce((rate, value) => rate + (value - 100) / 100, 1);
+        } else {
+            return rates.reduce((rate, value) => rate * value / 100, 1);
+        }
+    };
+
+    Game_Battler.prototype.criticalPity = function(key) {
+        const data = this.findCriticalPityData(param.pityScope === 'skill' ? key : 0);
+        return calcCriticalPity(data);
+    };
+
+    Game_Battler.prototype.findCriticalPityData = function(key) {
+        if (!this._criticalPity) {
+            this._criticalPity = {};
+        }
+        if (!this._criticalPity[key]) {
+            this._criticalPity[key] = {miss: 0, streak: 0};
+        }
+        return this._criticalPity[key];
+    };
+
+    Game_Battler.prototype.updateCriticalPity = function(key, critical) {
+        updateCriticalPityData(this.findCriticalPityData(key), critical);
+    };
+
+    Game_Battler.prototype.maxCriticalPity = function() {
+        const keys = Object.keys(this._criticalPity || {});
+        return keys.reduce((max, key) => Math.max(max, this.criticalPity(key)), 0);
+    };
+
+    Game_Battler.prototype.requestCriticalPulse = function(scale, duration) {
+        this._criticalPulse = {scale: scale, duration: duration};
+    };
+
+    Game_Battler.prototype.shiftCriticalPulse = function() {
+        const pulse = this._criticalPulse;
+        this._criticalPulse = null;
+        return pulse;
+    };
+
+    Game_Battler.prototype.criticalStatsKey = function() {
+        return this.isActor() ? 'actor' + this.actorId() : 'enemy' + this.enemyId();
+    };
+
+    Game_Battler.prototype.criticalStats = function(battle) {
+        return findCriticalStats(battle ? 'battle' : 'total', this.criticalStatsKey());
+    };
+
+    Game_Battler.prototype.criticalSkillStats = function(skillId, battle) {
+        return this.criticalStats(battle).skills[skillId] || {hits: 0, crits: 0, maxDamage: 0};
+    };
+
+    Game_Battler.prototype.criticalSkillRate = function(skillId, battle) {
+        return findCriticalStatValue(this.criticalStats(battle), 'skillRate', skillId);
+    };
+
+    Game_Battler.prototype.criticalReceiveRate = function() {
+        return this.findCriticalEffectList(['CC被ダメージ率', 'CCReceiveRate']).reduce((rate, value) => rate * value / 100, 1);
+    };
+
+    //=============================================================================
+    // Game_System
+    //  Holds the critical hit statistics of the entire save data.
+    //=============================================================================
+    Game_System.prototype.criticalStatsTable = function() {
+        return this._criticalStats || {};
+    };
+
+    Game_System.prototype.createCriticalStatsTable = function() {
+        if (!this._criticalStats) {
+            this._criticalStats = {};
+        }
+        return this._criticalStats;
+    };
+
+    //=============================================================================
+    // BattleManager
     //  Determine critical hits in advance.
     //=============================================================================
+    const _BattleManager_setup = BattleManager.setup;
+    BattleManager.setup = function(troopId, canEscape, canLose) {
+        _BattleManager_setup.apply(this, arguments);
+        this._criticalStats = {};
+    };
+
+    BattleManager.criticalStatsTable = function() {
+        return this._criticalStats || {};
+    };
+
+    BattleManager.createCriticalStatsTable = function() {
+        if (!this._criticalStats) {
+            this._criticalStats = {};
+        }
+        return this._criticalStats;
+    };
+
     BattleManager.judgeCritical = function(action, targets) {
         action.initCriticalQueue();
         targets.forEach(function(target) {
             action.judgeCritical(target);
         });
+        action.clearCriticalPityPreview();
+        action.subject().setCriticalActed();
+    };
+
+    const _BattleManager_invokeAction = BattleManager.invokeAction;
+    BattleManager.invokeAction = function(subject, target) {
+        this._action.startCriticalHit();
+        _BattleManager_invokeAction.apply(this, arguments);
     };
 
     //=============================================================================
@@ -244,16 +1459,12 @@
     //=============================================================================
     const _Window_BattleLog_startAction      = Window_BattleLog.prototype.startAction;
     Window_BattleLog.prototype.startAction = function(subject, action, targets) {
-        this._noCritialAnimationId = 0;
         this._currentAction = action;
+        this._criticalAnimationAction = null;
         BattleManager.judgeCritical(action, targets);
         if (action.isCritical()) {
             this.showCriticalEffect(subject);
-            const animationId = PluginManagerEx.findMetaValue(action.item(), ['CCアニメ', 'CCAnimation']);
-            if (animationId) {
-                this._noCritialAnimationId = action.item().animationId;
-                action.item().animationId  = animationId;
-            }
+            this._criticalAnimationAction = action;
         }
         _Window_BattleLog_startAction.apply(this, arguments);
     };
@@ -261,32 +1472,99 @@
     const _Window_BattleLog_endAction      = Window_BattleLog.prototype.endAction;
     Window_BattleLog.prototype.endAction = function(subject) {
         _Window_BattleLog_endAction.apply(this, arguments);
-        if (this._noCritialAnimationId) {
-            this._currentAction.item().animationId = this._noCritialAnimationId;
-            this._noCritialAnimationId = 0;
-        }
         this._currentAction = null;
     };
 
+    const _Window_BattleLog_showAnimation = Window_BattleLog.prototype.showAnimation;
+    Window_BattleLog.prototype.showAnimation = function(subject, targets, animationId) {
+        const action = this._criticalAnimationAction;
+        if (!action) {
+            _Window_BattleLog_showAnimation.apply(this, arguments);
+            return;
+        }
+        this._criticalAnimationAction = null;
+        const animations = new Map();
+        targets.forEach(target => {
+            const id = action.findCriticalAnimation(target) || animationId;
+            if (!animations.has(id)) {
+                animations.set(id, []);
+            }
+            animations.get(id).push(target);
+        });
+        animations.forEach((animationTargets, id) => {
+            _Window_BattleLog_showAnimation.call(this, subject, animationTargets, id);
+        });
+    };
+
     const _Window_BattleLog_displayCritical = Window_BattleLog.prototype.displayCritical;
     Window_BattleLog.prototype.displayCritical = function(target) {
-        if (target.result().critical && param.commonSe　&& param.commonSe.name) {
-            AudioManager.playSe(param.commonSe);
-        }
-        if (this._suppressCritialMessage) {
-            this._suppressCritialMessage = false;
-            return;
+        if (target.result().critical) {
+            const se = this.findCriticalSe(target);
+            if (se && se.name) {
+                AudioManager.playSe(se);
+            }
+            const message = this.makeCriticalMessage(target);
+            if (message) {
+                this.push('addText', message);
+                if (param.suppressDefault) {
+                    return;
+                }
+            }
         }
         _Window_BattleLog_displayCritical.apply(this, arguments);
     };
 
+    Window_BattleLog.prototype.findCriticalMessage = function(target) {
+        const action = target.result().criticalAction;
+        const tier = target.result().criticalTier;
+        const tierMessage = action && tier >= 2 ? action.findCriticalTierValue(tier, 'message') : null;
+        if (tierMessage) {
+            return tierMessage;
+        }
+        const subject = action ? action.subject() : null;
+        return (subject && subject.findCriticalEffect(['CCメッセージ', 'CCMessage'])) || param.commonMessage;
+    };
+
+    Window_BattleLog.prototype.makeCriticalMessage = function(target) {
+        const message = this.findCriticalMessage(target);
+        if (!message) {
+            return '';
+        }
+        const messages = String(message).split('|');
+        const action = target.result().criticalAction;
+        const result = target.result();
+        const item = action ? action.item() : null;
+        const values = {
+            subject: action ? action.subject().name() : '',
+            target : target.name(),
+            skill  : item ? item.name : '',
+            damage : Math.abs(result.hpAffected ? result.hpDamage : result.mpDamage)
+        };
+        return messages[Math.randomInt(messages.length)].replace(/{(\w+)}/g, (match, key) => {
+            return values.hasOwnProperty(key) ? values[key] : match;
+        });
+    };
+
+    Window_BattleLog.prototype.findCriticalSe = function(target) {
+        const action = target.result().criticalAction;
+        const tier = target.result().criticalTier;
+        const se = action && tier >= 2 ? action.findCriticalTierValue(tier, 'se') : null;
+        if (typeof se === 'string') {
+            return {name: se, volume: 90, pitch: 100, pan: 0};
+        }
+        return se && se.name ? se : param.commonSe;
+    };
+
     Window_BattleLog.prototype.showCriticalEffect = function(subject) {
-        const message = subject.findCriticalEffect(['CCメッセージ', 'CCMessage']) || param.commonMessage;
-        if (message) {
-            if (param.suppressDefault) {
-                this._suppressCritialMessage = true;
-            }
-            this.push('addText', message);
+        const picture = subject.findCriticalEffect(['CCカットイン', 'CCCutIn']);
+        if (picture) {
+            this.push('showCriticalCutIn', picture);
+            this.push('waitForCriticalCutIn');
+        }
+        const frontViewEffect = this.findCriticalFrontViewEffect(subject);
+        if (frontViewEffect) {
+            this.push('showCriticalFrontViewEffect', subject, frontViewEffect);
+            return;
         }
         const animationId = subject.findCriticalEffect(['CC演出', 'CCAnimation']) || param.commonAnimation;
         if (animationId > 0 && $dataAnimations[animationId]) {
@@ -295,11 +1573,46 @@
         }
     };
 
+    Window_BattleLog.prototype.findCriticalFrontViewEffect = function(subject) {
+        if (!subject.isEnemy() || $gameSystem.isSideView()) {
+            return null;
+        }
+        const id = subject.findCriticalEffect(['CCフロントビュー演出', 'CCFrontViewEffect']) || param.frontViewEffect;
+        return param.frontViewEffectList.find(data => data.id === id) || null;
+    };
+
+    Window_BattleLog.prototype.showCriticalFrontViewEffect = function(subject, data) {
+        const durations = [0];
+        if (data.flashDuration > 0) {
+            $gameScreen.startFlash(String(data.flashColor).split(',').map(Number), data.flashDuration);
+            durations.push(data.flashDuration);
+        }
+        if (data.shakeDuration > 0) {
+            $gameScreen.startShake(data.shakePower, data.shakeSpeed, data.shakeDuration);
+            durations.push(data.shakeDuration);
+        }
+        if (data.blink) {
+            subject.requestEffect('blink');
+            durations.push(20);
+        }
+        if (data.pulseScale > 100) {
+            subject.requestCriticalPulse(data.pulseScale / 100, data.pulseDuration);
+            durations.push(data.pulseDuration);
+        }
+        this._waitCount = Math.max(...durations);
+        if (data.animation > 0 && $dataAnimations[data.animation]) {
+            this.showNormalAnimation([subject], data.animation);
+            this.setWaitMode('animation');
+        }
+    };
+
     const _Window_BattleLog_updateWaitMode      = Window_BattleLog.prototype.updateWaitMode;
     Window_BattleLog.prototype.updateWaitMode = function() {
         let waiting = false;
         if (this._waitMode === 'animation') {
             waiting = this._spriteset.isAnimationPlaying();
+        } else if (this._waitMode === 'criticalCutIn') {
+            waiting = this._spriteset.isCriticalCutInPlaying();
         }
         if (!waiting) {
             waiting = _Window_BattleLog_updateWaitMode.apply(this, arguments);
@@ -310,4 +1623,489 @@
     Window_BattleLog.prototype.waitForAnimation = function() {
         this.setWaitMode('animation');
     };
+
+    Window_BattleLog.prototype.showCriticalCutIn = function(picture) {
+        this._spriteset.startCriticalCutIn(picture);
+    };
+
+    Window_BattleLog.prototype.waitForCriticalCutIn = function() {
+        this.setWaitMode('criticalCutIn');
+    };
+
+    //=============================================================================
+    // Spriteset_Battle
+    //  Adds the cut-in sprite for critical hits.
+    //=============================================================================
+    const _Spriteset_Battle_createUpperLayer = Spriteset_Battle.prototype.createUpperLayer;
+    Spriteset_Battle.prototype.createUpperLayer = function() {
+        _Spriteset_Battle_createUpperLayer.apply(this, arguments);
+        this._criticalCutInSprite = new Sprite_CriticalCutIn();
+        this.addChild(this._criticalCutInSprite);
+    };
+
+    Spriteset_Battle.prototype.startCriticalCutIn = function(picture) {
+        this._criticalCutInSprite.setup(picture);
+    };
+
+    Spriteset_Battle.prototype.isCriticalCutInPlaying = function() {
+        return this._criticalCutInSprite.isPlaying();
+    };
+
+    //=============================================================================
+    // Sprite_CriticalCutIn
+    //  Sprite for displaying the cut-in picture of critical hits.
+    //=============================================================================
+    function Sprite_CriticalCutIn() {
+        this.initialize.apply(this, arguments);
+    }
+
+    Sprite_CriticalCutIn.prototype = Object.create(Sprite.prototype);
+    Sprite_CriticalCutIn.prototype.constructor = Sprite_CriticalCutIn;
+
+    Sprite_CriticalCutIn.prototype.initialize = function() {
+        Sprite.prototype.initialize.call(this);
+        this._duration = 0;
+        this.x = Graphics.width / 2;
+        this.y = Graphics.height / 2;
+        this.createBandSprite();
+        this.createPictureSprite();
+        this.visible = false;
+    };
+
+    Sprite_CriticalCutIn.prototype.createBandSprite = function() {
+        this._bandSprite = new Sprite();
+        this._bandSprite.anchor.x = 0.5;
+        this._bandSprite.anchor.y = 0.5;
+        if (param.cutInBandColor) {
+            this._bandSprite.bitmap = new Bitmap(Graphics.width, param.cutInBandHeight || 240);
+            this._bandSprite.bitmap.fillAll(param.cutInBandColor);
+        }
+        this.addChild(this._bandSprite);
+    };
+
+    Sprite_CriticalCutIn.prototype.createPictureSprite = function() {
+        this._pictureSprite = new Sprite();
+        this._pictureSprite.anchor.x = 0.5;
+        this._pictureSprite.anchor.y = 0.5;
+        this.addChild(this._pictureSprite);
+    };
+
+    Sprite_CriticalCutIn.prototype.setup = function(picture) {
+        this._pictureSprite.bitmap = ImageManager.loadPicture(picture);
+        this._duration = this.maxDuration();
+        this.visible = true;
+        if (param.cutInSe && param.cutInSe.name) {
+            AudioManager.playSe(param.cutInSe);
+        }
+        this.updateMotion();
+    };
+
+    Sprite_CriticalCutIn.prototype.maxDuration = function() {
+        return param.cutInDuration || 60;
+    };
+
+    Sprite_CriticalCutIn.prototype.isPlaying = function() {
+        return this._duration > 0;
+    };
+
+    Sprite_CriticalCutIn.prototype.update = function() {
+        Sprite.prototype.update.call(this);
+        if (this._duration > 0) {
+            this._duration--;
+            this.updateMotion();
+            if (this._duration === 0) {
+                this.visible = false;
+            }
+        }
+    };
+
+    Sprite_CriticalCutIn.prototype.updateMotion = function() {
+        const progress = 1 - this._duration / this.maxDuration();
+        const fadeIn = Math.min(progress * 4, 1);
+        const fadeOut = Math.min((1 - progress) * 4, 1);
+        const opacity = Math.min(fadeIn, fadeOut) * 255;
+        this._bandSprite.opacity = opacity;
+        const sprite = this._pictureSprite;
+        const distance = Graphics.width / 2 + (sprite.bitmap ? sprite.bitmap.width / 2 : 0);
+        switch (param.cutInMotion) {
+            case 'fade':
+                sprite.x = 0;
+                sprite.opacity = opacity;
+                break;
+            case 'slideLeft':
+                sprite.x = (1 - fadeIn - (1 - fadeOut)) * distance;
+                sprite.opacity = 255;
+                break;
+            default:
+                sprite.x = (fadeIn - 1 + (1 - fadeOut)) * distance;
+                sprite.opacity = 255;
+                break;
+        }
+    };
+
+    //=============================================================================
+    // Sprite_Enemy
+    //  Pulses the enemy character's sprite for critical hits in front view.
+    //=============================================================================
+    const _Sprite_Enemy_update = Sprite_Enemy.prototype.update;
+    Sprite_Enemy.prototype.update = function() {
+        _Sprite_Enemy_update.apply(this, arguments);
+        if (this._enemy) {
+            this.updateCriticalPulse();
+        }
+    };
+
+    Sprite_Enemy.prototype.updateCriticalPulse = function() {
+        const pulse = this._enemy.shiftCriticalPulse();
+        if (pulse) {
+            this._criticalPulse = pulse;
+            this._criticalPulseDuration = pulse.duration;
+        }
+        if (!this._criticalPulse) {
+            return;
+        }
+        this._criticalPulseDuration--;
+        const progress = 1 - this._criticalPulseDuration / this._criticalPulse.duration;
+        const scale = 1 + (this._criticalPulse.scale - 1) * Math.sin(Math.PI * progress);
+        this.scale.x = scale;
+        this.scale.y = scale;
+        if (this._criticalPulseDuration <= 0) {
+            this._criticalPulse = null;
+        }
+    };
+
+    //=============================================================================
+    // Sprite_Damage
+    //  Changes the style of the damage popup for critical hits.
+    //=============================================================================
+    const _Sprite_Damage_setup = Sprite_Damage.prototype.setup;
+    Sprite_Damage.prototype.setup = function(target) {
+        this._criticalPopupStyle = this.findCriticalPopupStyle(target);
+        _Sprite_Damage_setup.apply(this, arguments);
+        if (this._criticalPopupStyle) {
+            this.setupCriticalPopupStyle();
+        }
+    };
+
+    Sprite_Damage.prototype.findCriticalPopupStyle = function(target) {
+        const result = target.result();
+        if (!result.critical || result.missed || result.evaded) {
+            return null;
+        }
+        const damageType = this.findCriticalDamageType(target);
+        return param.popupStyleList.find(style => {
+            return (!style.tier || style.tier === result.criticalTier) &&
+                (style.damageType < 0 || style.damageType === damageType);
+        }) || null;
+    };
+
+    Sprite_Damage.prototype.findCriticalDamageType = function(target) {
+        const result = target.result();
+        if (result.hpAffected) {
+            return result.hpDamage >= 0 ? 0 : 1;
+        } else if (target.isAlive() && result.mpDamage !== 0) {
+            return result.mpDamage >= 0 ? 2 : 3;
+        }
+        return -1;
+    };
+
+    Sprite_Damage.prototype.setupCriticalPopupStyle = function() {
+        const style = this._criticalPopupStyle;
+        this._criticalPopupDuration = this.criticalPopupDuration();
+        this._criticalPopupX = this.x;
+        if (style.label) {
+            this.createCriticalLabel(style);
+        }
+        this.updateCriticalPopup();
+    };
+
+    Sprite_Damage.prototype.createCriticalLabel = function(style) {
+        const height = Math.floor(this.fontSize() * 0.6);
+        const width = height * style.label.length;
+        const sprite = new Sprite();
+        sprite.bitmap = new Bitmap(width, height);
+        sprite.bitmap.fontFace = this.fontFace();
+        sprite.bitmap.fontSize = height;
+        sprite.bitmap.textColor = style.labelColor || this.damageColor();
+        sprite.bitmap.outlineColor = this.outlineColor();
+        sprite.bitmap.outlineWidth = this.outlineWidth();
+        sprite.bitmap.drawText(style.label, 0, 0, width, height, 'center');
+        sprite.anchor.x = 0.5;
+        sprite.anchor.y = 1;
+        sprite.y = -40 - this.fontSize();
+        this._criticalLabelSprite = sprite;
+        this.addChild(sprite);
+    };
+
+    Sprite_Damage.prototype.criticalPopupDuration = function() {
+        return 20;
+    };
+
+    const _Sprite_Damage_damageColor = Sprite_Damage.prototype.damageColor;
+    Sprite_Damage.prototype.damageColor = function() {
+        const style = this._criticalPopupStyle;
+        if (style && style.color) {
+            return style.color;
+        }
+        return _Sprite_Damage_damageColor.apply(this, arguments);
+    };
+
+    const _Sprite_Damage_update = Sprite_Damage.prototype.update;
+    Sprite_Damage.prototype.update = function() {
+        _Sprite_Damage_update.apply(this, arguments);
+        if (this._criticalPopupStyle) {
+            this.updateCriticalPopup();
+        }
+    };
+
+    const _Sprite_Damage_updateChild = Sprite_Damage.prototype.updateChild;
+    Sprite_Damage.prototype.updateChild = function(sprite) {
+        if (sprite === this._criticalLabelSprite) {
+            sprite.setBlendColor(this._flashColor);
+            return;
+        }
+        _Sprite_Damage_updateChild.apply(this, arguments);
+    };
+
+    Sprite_Damage.prototype.updateCriticalPopup = function() {
+        if (this._criticalPopupDuration <= 0) {
+            return;
+        }
+        this._criticalPopupDuration--;
+        const style = this._criticalPopupStyle;
+        const rate = this._criticalPopupDuration / this.criticalPopupDuration();
+        const scale = 1 + ((style.scale || 100) / 100 - 1) * rate;
+        this.scale.x = scale;
+        this.scale.y = scale;
+        const shake = style.shake * rate;
+        this.x = this._criticalPopupX + Math.round((Math.random() * 2 - 1) * shake);
+    };
+
+    //=============================================================================
+    // Scene_Status
+    //  Displays critical information on the status screen.
+    //=============================================================================
+    const findCriticalStatusItems = function() {
+        const items = [];
+        if (param.showRateStatus) {
+            items.push('rate');
+        }
+        if (param.showDamageStatus) {
+            items.push('damage');
+        }
+        if (param.showPityStatus) {
+            items.push('pity');
+        }
+        return items;
+    };
+
+    const _Scene_Status_create = Scene_Status.prototype.create;
+    Scene_Status.prototype.create = function() {
+        _Scene_Status_create.apply(this, arguments);
+        if (findCriticalStatusItems().length > 0) {
+            this.createCriticalStatusWindow();
+        }
+    };
+
+    Scene_Status.prototype.createCriticalStatusWindow = function() {
+        const rect = this.criticalStatusWindowRect();
+        this._criticalStatusWindow = new Window_CriticalStatus(rect);
+        this.addWindow(this._criticalStatusWindow);
+    };
+
+    Scene_Status.prototype.criticalStatusWindowRect = function() {
+        const margin = 112;
+        const ww = Graphics.boxWidth - margin * 2;
+        const wh = this.buttonAreaHeight();
+        const wx = margin;
+        const wy = this.buttonAreaTop();
+        return new Rectangle(wx, wy, ww, wh);
+    };
+
+    const _Scene_Status_refreshActor = Scene_Status.prototype.refreshActor;
+    Scene_Status.prototype.refreshActor = function() {
+        _Scene_Status_refreshActor.apply(this, arguments);
+        if (this._criticalStatusWindow) {
+            this._criticalStatusWindow.setActor(this.actor());
+        }
+    };
+
+    //=============================================================================
+    // Window_CriticalStatus
+    //  Window for displaying the critical information of the actor.
+    //=============================================================================
+    function Window_CriticalStatus() {
+        this.initialize.apply(this, arguments);
+    }
+
+    Window_CriticalStatus.prototype = Object.create(Window_Selectable.prototype);
+    Window_CriticalStatus.prototype.constructor = Window_CriticalStatus;
+
+    Window_CriticalStatus.prototype.initialize = function(rect) {
+        Window_Selectable.prototype.initialize.call(this, rect);
+        this._actor = null;
+    };
+
+    Window_CriticalStatus.prototype.updatePadding = function() {
+        this.padding = 6;
+    };
+
+    Window_CriticalStatus.prototype.setActor = function(actor) {
+        if (this._actor !== actor) {
+            this._actor = actor;
+            this.refresh();
+        }
+    };
+
+    Window_CriticalStatus.prototype.maxItems = function() {
+        return this._actor ? findCriticalStatusItems().length : 0;
+    };
+
+    Window_CriticalStatus.prototype.maxCols = function() {
+        return Math.max(findCriticalStatusItems().length, 1);
+    };
+
+    Window_CriticalStatus.prototype.itemHeight = function() {
+        return this.innerHeight;
+    };
+
+    Window_CriticalStatus.prototype.drawItem = function(index) {
+        const item = findCriticalStatusItems()[index];
+        const rect = this.itemLineRect(index);
+        const valueWidth = 72;
+        this.changeTextColor(ColorManager.systemColor());
+        this.drawText(this.findCriticalStatusName(item), rect.x, rect.y, rect.width - valueWidth);
+        this.resetTextColor();
+        this.drawText(this.findCriticalStatusValue(item), rect.x + rect.width - valueWidth, rect.y, valueWidth, 'right');
+    };
+
+    Window_CriticalStatus.prototype.findCriticalStatusName = function(item) {
+        switch (item) {
+            case 'rate':
+                return param.rateStatusName;
+            case 'damage':
+                return param.damageStatusName;
+            case 'pity':
+                return param.pityStatusName;
+            default:
+                return '';
+        }
+    };
+
+    Window_CriticalStatus.prototype.findCriticalStatusValue = function(item) {
+        const actor = this._actor;
+        switch (item) {
+            case 'rate':
+                return Math.round(actor.cri * 100) + '%';
+            case 'damage':
+                return Math.round(actor.criticalDamageRate() * 300) + '%';
+            case 'pity':
+                return this.formatCriticalPity(param.pityScope === 'skill' ? actor.maxCriticalPity() : actor.criticalPity());
+            default:
+                return '';
+        }
+    };
+
+    Window_CriticalStatus.prototype.formatCriticalPity = function(pity) {
+        return (pity > 0 ? '+' : '') + pity + '%';
+    };
+
+    //=============================================================================
+    // Scene_Battle
+    //  Displays the critical probability against the selected target.
+    //=============================================================================
+    const _Scene_Battle_createAllWindows = Scene_Battle.prototype.createAllWindows;
+    Scene_Battle.prototype.createAllWindows = function() {
+        _Scene_Battle_createAllWindows.apply(this, arguments);
+        if (param.showPreview) {
+            this.createCriticalPreviewWindow();
+        }
+    };
+
+    Scene_Battle.prototype.createCriticalPreviewWindow = function() {
+        const rect = this.criticalPreviewWindowRect();
+        this._criticalPreviewWindow = new Window_CriticalPreview(rect);
+        this.addWindow(this._criticalPreviewWindow);
+    };
+
+    Scene_Battle.prototype.criticalPreviewWindowRect = function() {
+        const ww = 240;
+        const wh = this.calcWindowHeight(1, false);
+        const wx = Graphics.boxWidth - ww;
+        const wy = 0;
+        return new Rectangle(wx, wy, ww, wh);
+    };
+
+    const _Scene_Battle_update = Scene_Battle.prototype.update;
+    Scene_Battle.prototype.update = function() {
+        _Scene_Battle_update.apply(this, arguments);
+        if (this._criticalPreviewWindow) {
+            this.updateCriticalPreview();
+        }
+    };
+
+    Scene_Battle.prototype.updateCriticalPreview = function() {
+        const target = this.findCriticalPreviewTarget();
+        const action = target ? BattleManager.inputtingAction() : null;
+        this._criticalPreviewWindow.setup(action, target);
+    };
+
+    Scene_Battle.prototype.findCriticalPreviewTarget = function() {
+        if (this._enemyWindow.active) {
+            return this._enemyWindow.enemy();
+        } else if (this._actorWindow.active) {
+            return this._actorWindow.actor(this._actorWindow.index());
+        }
+        return null;
+    };
+
+    //=============================================================================
+    // Window_CriticalPreview
+    //  Window for displaying the critical probability against the target.
+    //=============================================================================
+    function Window_CriticalPreview() {
+        this.initialize.apply(this, arguments);
+    }
+
+    Window_CriticalPreview.prototype = Object.create(Window_Base.prototype);
+    Window_CriticalPreview.prototype.constructor = Window_CriticalPreview;
+
+    Window_CriticalPreview.prototype.initialize = function(rect) {
+        Window_Base.prototype.initialize.call(this, rect);
+        this.clearPreview();
+        this.hide();
+    };
+
+    Window_CriticalPreview.prototype.clearPreview = function() {
+        this._action = null;
+        this._item = null;
+        this._target = null;
+        this._rate = null;
+    };
+
+    Window_CriticalPreview.prototype.setup = function(action, target) {
+        const item = action ? action.item() : null;
+        if (!item || !target) {
+            this.clearPreview();
+            this.hide();
+            return;
+        }
+        if (action !== this._action || item !== this._item || target !== this._target) {
+            this._action = action;
+            this._item = item;
+            this._target = target;
+            this._rate = Math.round(action.criticalRate(target).clamp(0, 1) * 100);
+            this.refresh();
+        }
+        this.show();
+    };
+
+    Window_CriticalPreview.prototype.refresh = function() {
+        const rect = this.baseTextRect();
+        this.contents.clear();
+        this.changeTextColor(ColorManager.systemColor());
+        this.drawText(param.previewLabel, rect.x, rect.y, rect.width);
+        this.resetTextColor();
+        this.drawText(this._rate + '%', rect.x, rect.y, rect.width, 'right');
+    };
 })();
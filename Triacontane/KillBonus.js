@@ -6,6 +6,9 @@
 // http://opensource.org/licenses/mit-license.php
 // ----------------------------------------------------------------------------
 // Version
+// 2.4.0 2026/10/19 Added items, weapons and armors obtained directly as rewards.
+// 2.3.0 2026/10/19 Added multi-kill and kill streak to the conditions.
+// 2.2.0 2026/10/19 Added overkill to the conditions and a function to scale rewards by overkill.
 // 2.1.1 2023/07/07 Fixed an issue where decimal values could occur when changing the experience and gold rates.
 // 2.1.0 2023/01/09 Added "When using a specific skill" to the kill bonus application conditions
 // 2.0.1 2022/09/04 Added specifications regarding drop rate to the help section.
@@ -59,6 +62,26 @@
  *
  * ※2 Specifying 0 for the drop rate will result in the default drop rate specified in the database.
  *
+ * ※3 Overkill is the damage of the finishing blow beyond the remaining HP of the enemy.
+ * It is handled as a percentage of the enemy's max HP.
+ * Example: 150 damage to an enemy with 50 HP left and 200 max HP -> Overkill 100 (50%)
+ * With "Overkill Scale", gold, gold rate, experience rate and recovery amounts
+ * increase by the specified rate for every 100% of overkill.
+ * The overkill of the last defeat can be referenced with the script "target.result().overkill".
+ *
+ * ※4 "Multi-Kill" is met when the number of enemies defeated by a single action reaches the specified number.
+ * "Kill Streak" is met when the number of consecutive defeats by the same battler reaches the specified number.
+ * Both are met only once when the number is reached, so set a separate bonus for each number.
+ * Example: bonus01 for 3 kills in a row, bonus02 for 5 kills in a row
+ * Only defeats of the opponents of the defeater are counted. Defeating allies by confusion etc. is not counted.
+ * The kill streak is reset when an action misses all of the opponents it targets,
+ * and at the end of the turn when "Streak Scope" is "Turn".
+ * If an action targeting multiple opponents hits at least one of them, the streak is not reset.
+ *
+ * ※5 Items in "Reward Item List" are obtained with the drop items of the enemy at the end of battle,
+ * and are displayed in the victory message together with the normal drop items.
+ * The chance is judged when the enemy is defeated, and is not affected by drop rate changes.
+ *
  * Terms of use:
  *  Modification and redistribution are allowed without permission of the author, and there are no restrictions on usage (commercial, 18+, etc.).
  *  This plugin is now yours.
@@ -161,6 +184,12 @@
  * @min 0
  * @max 100
  *
+ * @param itemList
+ * @text Reward Item List
+ * @desc List of items, weapons and armors obtained directly when defeating an enemy.
+ * @default []
+ * @type struct<ItemReward>[]
+ *
  * @param state
  * @text State
  * @desc Applies the specified state to yourself.
@@ -205,6 +234,19 @@
  * @default 0
  * @type animation
  *
+ * @param overkillScale
+ * @text Overkill Scale
+ * @desc Gold, gold rate, experience rate and recovery increase by this rate (%) for every 100% of max HP overkill.
+ * @default 0
+ * @type number
+ *
+ * @param overkillScaleMax
+ * @text Overkill Scale Max
+ * @desc The maximum rate (%) of the increase by overkill. If 0, there is no limit.
+ * @default 0
+ * @type number
+ * @parent overkillScale
+ *
  * @param condition
  * @text Application Conditions
  * @desc Conditions for applying the kill bonus. If not specified, it will always apply.
@@ -213,6 +255,43 @@
  *
  */
 
+/*~struct~ItemReward:
+ *
+ * @param itemId
+ * @text Item
+ * @desc The item to obtain.
+ * @default 0
+ * @type item
+ *
+ * @param weaponId
+ * @text Weapon
+ * @desc The weapon to obtain.
+ * @default 0
+ * @type weapon
+ *
+ * @param armorId
+ * @text Armor
+ * @desc The armor to obtain.
+ * @default 0
+ * @type armor
+ *
+ * @param chance
+ * @text Chance
+ * @desc The chance (%) of obtaining the reward.
+ * @default 100
+ * @type number
+ * @min 0
+ * @max 100
+ *
+ * @param quantity
+ * @text Quantity
+ * @desc The number of rewards to obtain.
+ * @default 1
+ * @type number
+ * @min 1
+ *
+ */
+
 /*~struct~Condition:
  *
  * @param noDamage
@@ -257,6 +336,35 @@
  * @default 0
  * @type number
  * 
+ * @param overkill
+ * @text Overkill
+ * @desc The condition is met when the overkill is at least the specified percentage of the enemy's max HP.
+ * @default 0
+ * @type number
+ * 
+ * @param multiKill
+ * @text Multi-Kill
+ * @desc The condition is met when the number of enemies defeated by a single action reaches the specified number.
+ * @default 0
+ * @type number
+ * 
+ * @param killStreak
+ * @text Kill Streak
+ * @desc The condition is met when the number of consecutive defeats reaches the specified number.
+ * @default 0
+ * @type number
+ * 
+ * @param streakScope
+ * @text Streak Scope
+ * @desc The range in which the kill streak is counted.
+ * @default battle
+ * @type select
+ * @option Turn
+ * @value turn
+ * @option Battle
+ * @value battle
+ * @parent killStreak
+ * 
  * @param script
  * @text Script
  * @desc The condition is met when the specified script returns true.
@@ -276,6 +384,14 @@
     // BattleManager
     //  Maintains skill and damage status.
     //=============================================================================
+    const _BattleManager_endAction = BattleManager.endAction;
+    BattleManager.endAction = function() {
+        if (this._action) {
+            this._action.judgeKillStreakMiss();
+        }
+        _BattleManager_endAction.apply(this, arguments);
+    };
+
     const _BattleManager_setup = BattleManager.setup;
     BattleManager.setup = function(troopId, canEscape, canLose) {
         _BattleManager_setup.apply(this, arguments);
@@ -291,6 +407,7 @@
         this._noDamage = true;
         this._noDeath  = true;
         this._usedSkillId = 0;
+        this._killStreak = {turn: 0, battle: 0};
     };
 
     Game_BattlerBase.prototype.breakNoSkill = function() {
@@ -309,10 +426,32 @@
         this._usedSkillId = skillId
     };
 
-    Game_BattlerBase.prototype.findKillBonusParamList = function(critical) {
+    Game_BattlerBase.prototype.gainKillStreak = function() {
+        if (!this._killStreak) {
+            this._killStreak = {turn: 0, battle: 0};
+        }
+        this._killStreak.turn++;
+        this._killStreak.battle++;
+    };
+
+    Game_BattlerBase.prototype.breakKillStreak = function() {
+        this._killStreak = {turn: 0, battle: 0};
+    };
+
+    Game_BattlerBase.prototype.breakTurnKillStreak = function() {
+        if (this._killStreak) {
+            this._killStreak.turn = 0;
+        }
+    };
+
+    Game_BattlerBase.prototype.killStreak = function(scope) {
+        return this._killStreak ? this._killStreak[scope] || 0 : 0;
+    };
+
+    Game_BattlerBase.prototype.findKillBonusParamList = function(critical, overkillRate, killCount) {
         return this.traitObjects()
             .map(obj => this.findKillBonusParam(obj))
-            .filter(data => !!data && this.checkDataForKillBonus(data, critical));
+            .filter(data => !!data && this.checkDataForKillBonus(data, critical, overkillRate, killCount));
     };
 
     Game_BattlerBase.prototype.findKillBonusParam = function(traitObj) {
@@ -320,7 +459,7 @@
         return param.bonusList.filter(item => item.id === id)[0] || null;
     };
 
-    Game_BattlerBase.prototype.checkDataForKillBonus = function(data, critical) {
+    Game_BattlerBase.prototype.checkDataForKillBonus = function(data, critical, overkillRate, killCount) {
         const condition = data.condition;
         if (!condition) {
             return true;
@@ -332,6 +471,9 @@
         conditions.push(() => condition.skillId && this._usedSkillId !== condition.skillId);
         conditions.push(() => condition.critical && !critical);
         conditions.push(() => condition.turnCount > 0 && condition.turnCount < $gameTroop.turnCount());
+        conditions.push(() => condition.overkill > 0 && (overkillRate || 0) < condition.overkill);
+        conditions.push(() => condition.multiKill > 0 && killCount !== condition.multiKill);
+        conditions.push(() => condition.killStreak > 0 && this.killStreak(condition.streakScope) !== condition.killStreak);
         conditions.push(() => condition.switchId > 0 && !$gameSwitches.value(condition.switchId));
         conditions.push(() => condition.script && !eval(condition.script));
         return !conditions.some(cond => cond.call(this));
@@ -353,6 +495,12 @@
         this.breakNoDamage();
     };
 
+    const _Game_Battler_onTurnEnd = Game_Battler.prototype.onTurnEnd;
+    Game_Battler.prototype.onTurnEnd = function() {
+        _Game_Battler_onTurnEnd.apply(this, arguments);
+        this.breakTurnKillStreak();
+    };
+
     //=============================================================================
     // Game_Action
     //  Applies the kill bonus.
@@ -372,6 +520,31 @@
         return result;
     };
 
+    const _Game_Action_apply = Game_Action.prototype.apply;
+    Game_Action.prototype.apply = function(target) {
+        _Game_Action_apply.apply(this, arguments);
+        if (this.isKillBonusOpponent(target)) {
+            if (target.result().isHit()) {
+                this._hitForKillBonus = true;
+            } else {
+                this._missForKillBonus = true;
+            }
+        }
+    };
+
+    Game_Action.prototype.isKillBonusOpponent = function(target) {
+        const subject = this.subject();
+        return !!subject && subject.isEnemy() !== target.isEnemy();
+    };
+
+    Game_Action.prototype.judgeKillStreakMiss = function() {
+        if (this._missForKillBonus && !this._hitForKillBonus && this.subject()) {
+            this.subject().breakKillStreak();
+        }
+        this._missForKillBonus = false;
+        this._hitForKillBonus = false;
+    };
+
     const _Game_Action_applyCritical = Game_Action.prototype.applyCritical;
     Game_Action.prototype.applyCritical = function(damage) {
         this._criticalForKillBonus = true;
@@ -380,8 +553,14 @@
 
     const _Game_Action_executeHpDamage      = Game_Action.prototype.executeHpDamage;
     Game_Action.prototype.executeHpDamage = function(target, value) {
+        const prevHp = target.hp;
         _Game_Action_executeHpDamage.apply(this, arguments);
         if (target.hp === 0) {
+            target.result().overkill = Math.max(value - prevHp, 0);
+            if (this.isKillBonusOpponent(target)) {
+                this._killCountForKillBonus = (this._killCountForKillBonus || 0) + 1;
+                this.subject().gainKillStreak();
+            }
             this.executeKillBonus(target);
         }
     };
@@ -395,12 +574,14 @@
         this._gainMp = 0;
         this._gainTp = 0;
         target.clearRewardRate();
-        subject.findKillBonusParamList(this._criticalForKillBonus).forEach(data => {
-            this.executeKillBonusRecover(data, subject);
+        const overkillRate = target.result().overkill / target.mhp * 100;
+        subject.findKillBonusParamList(this._criticalForKillBonus, overkillRate, this._killCountForKillBonus).forEach(data => {
+            const scaledData = this.scaleKillBonusByOverkill(data, overkillRate);
+            this.executeKillBonusRecover(scaledData, subject);
             this.executeKillBonusState(data, subject);
             this.executeKillBonusVariable(data);
             this.executeKillBonusScript(data, subject, target);
-            this.executeKillBonusReward(data, target);
+            this.executeKillBonusReward(scaledData, target);
             this.executeKillBonusAnimation(data, subject);
         });
         if (this._gainHp !== 0) subject.gainHp(this._gainHp);
@@ -408,6 +589,27 @@
         if (this._gainTp !== 0) subject.gainTp(this._gainTp);
     };
 
+    Game_Action.prototype.scaleKillBonusByOverkill = function(data, overkillRate) {
+        if (!data.overkillScale || !overkillRate) {
+            return data;
+        }
+        let increase = overkillRate * data.overkillScale / 100;
+        if (data.overkillScaleMax > 0) {
+            increase = Math.min(increase, data.overkillScaleMax);
+        }
+        const scale = 1 + increase / 100;
+        const scaledData = Object.assign({}, data);
+        ['hp', 'hpRate', 'mp', 'mpRate', 'tp', 'tpRate', 'gold'].forEach(key => {
+            if (data[key]) {
+                scaledData[key] = Math.floor(data[key] * scale);
+            }
+        });
+        ['goldRate', 'expRate'].forEach(key => {
+            scaledData[key] = Math.floor((data[key] || 100) * scale);
+        });
+        return scaledData;
+    };
+
     Game_Action.prototype.executeKillBonusAnimation = function(data, subject) {
         const id = data.animationId
         if (id > 0) {
@@ -470,6 +672,23 @@
             $gameParty.gainGold(data.gold);
         }
         target.setRewardRate(data.drop1Rate, data.drop2Rate, data.drop3Rate, data.goldRate, data.expRate);
+        if (target.isEnemy()) {
+            (data.itemList || []).forEach(reward => {
+                if (Math.randomInt(100) < reward.chance) {
+                    target.addRewardItems(reward);
+                }
+            });
+        }
+    };
+
+    //=============================================================================
+    // Game_ActionResult
+    //  Holds the overkill of the last defeat.
+    //=============================================================================
+    const _Game_ActionResult_clear = Game_ActionResult.prototype.clear;
+    Game_ActionResult.prototype.clear = function() {
+        _Game_ActionResult_clear.apply(this, arguments);
+        this.overkill = 0;
     };
 
     /**
@@ -497,6 +716,20 @@
         this._customRewardRate = null;
     }
 
+    Game_Enemy.prototype.clearRewardRate = function() {
+        Game_Battler.prototype.clearRewardRate.call(this);
+        this._customRewardItems = [];
+    };
+
+    Game_Enemy.prototype.addRewardItems = function(reward) {
+        const items = [$dataItems[reward.itemId], $dataWeapons[reward.weaponId], $dataArmors[reward.armorId]];
+        items.filter(item => !!item).forEach(item => {
+            for (let i = 0; i < (reward.quantity || 1); i++) {
+                this._customRewardItems.push(item);
+            }
+        });
+    };
+
     const _Game_Enemy_exp = Game_Enemy.prototype.exp;
     Game_Enemy.prototype.exp = function() {
         const exp = _Game_Enemy_exp.apply(this, arguments);
@@ -519,6 +752,10 @@
 
     const _Game_Enemy_makeDropItems = Game_Enemy.prototype.makeDropItems;
     Game_Enemy.prototype.makeDropItems = function() {
+        return this.makeDropItemsForKillBonus().concat(this._customRewardItems || []);
+    };
+
+    Game_Enemy.prototype.makeDropItemsForKillBonus = function() {
         const prevItems = _Game_Enemy_makeDropItems.apply(this, arguments);
         const newRate = this._customRewardRate?.dropRate || [];
         if (newRate[0] || newRate[1] || newRate[2]) {
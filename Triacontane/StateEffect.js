@@ -6,6 +6,14 @@
  http://opensource.org/licenses/mit-license.php
 ----------------------------------------------------------------------------
  Version
+ 1.9.0 2026/10/19 Added state reactions that combine two states into another.
+ 1.8.0 2026/10/19 Added state stacking.
+ 1.7.0 2026/10/19 Added a limit to chained state effects and detection of cyclic chains.
+ 1.6.0 2026/10/19 Added random selection of the skill and conditions for the state effect.
+ 1.5.0 2026/10/19 Added a mode that executes the whole skill, including damage, animation and battle log.
+ 1.4.0 2026/10/19 Added a tag to change the target of the state effect.
+ 1.3.0 2026/10/19 Changed the state effect to be executed by the battler who applied the state.
+ 1.2.0 2026/10/19 Added effects that run when a state is removed, expires, is dispelled, ticks at turn end or is reapplied.
  1.1.0 2022/09/25 Added the ability to exclude state effects from pop-ups and messages.
  1.0.0 2022/04/10 First version
 ----------------------------------------------------------------------------
@@ -28,6 +36,25 @@
  * @default false
  * @type boolean
  *
+ * @param fullExecution
+ * @text Full Skill Execution
+ * @desc Executes the whole skill for all state effects, including damage, animation and battle log.
+ * @default false
+ * @type boolean
+ *
+ * @param maxChainDepth
+ * @text Max Chain Depth
+ * @desc The maximum number of state effects that can be chained. Effects beyond this are cut.
+ * @default 10
+ * @type number
+ * @min 1
+ *
+ * @param reactionList
+ * @text State Reaction List
+ * @desc List of reactions that occur when a state is added to a battler that already has another state.
+ * @default []
+ * @type struct<Reaction>[]
+ *
  * @help StateEffect.js
  *
  * This plugin applies the usage effect of the specified skill to the target when a state is applied.
@@ -37,6 +64,116 @@
  * <StateEffect:3>
  *
  * Skill contents other than usage effects (damage, animation, etc.) are not referenced.
+ *
+ * To execute the whole skill, enable the parameter "Full Skill Execution"
+ * or write the following in the state's memo field.
+ * <StateEffectFull>
+ *
+ * The damage formula is evaluated, and in battle the animation is played on the targets
+ * and damage pop-ups and battle log messages are displayed.
+ * Hit and evasion are judged in the same way as a normal skill.
+ * The parameter "Hide State Effect" only applies to states that are not fully executed.
+ *
+ * Effects can also be applied at other points in the state's life.
+ * Each tag can specify a different skill.
+ *
+ * Applied when the state is removed, including when the battler dies.
+ * Not applied when states are cleared by "Recover All"
+ * or removed automatically at the end of battle.
+ * <StateEffectRemove:4>
+ *
+ * Applied when the state expires naturally by turn count.
+ * <StateEffectExpire:5>
+ *
+ * Applied when the state is removed by the usage effect "Remove State".
+ * <StateEffectDispel:6>
+ *
+ * Applied at the end of each turn while the state is active.
+ * <StateEffectTurnEnd:7>
+ *
+ * Applied when the state is added again while already active.
+ * <StateEffectReapply:8>
+ *
+ * When a state expires, both StateEffectRemove and StateEffectExpire are applied.
+ * The same goes for StateEffectDispel.
+ *
+ * The skill is executed by the battler who applied the state,
+ * so "a" in the skill's formula refers to that battler.
+ * If the battler who applied the state is unknown, such as a state added by an event command
+ * or one that remained from before the battle, the battler with the state executes it.
+ *
+ * By default, the skill's effects are applied only to the battler with the state.
+ * You can change the target with the following tag.
+ * <StateEffectScope:Skill>
+ *
+ * Target      : The battler with the state. (default)
+ * Caster      : The battler who applied the state.
+ * Skill       : The skill's own scope, as seen from the battler who applied the state.
+ * TargetSkill : The skill's own scope, as seen from the battler with the state.
+ *
+ * For example, to heal all allies of the battler who applied the state,
+ * specify "Skill" and use a skill whose scope is "All Allies".
+ * To affect the allies of the battler with the state,
+ * specify "TargetSkill" instead.
+ * Random scopes pick their targets each time the effect is applied.
+ *
+ * Multiple skills can be specified separated by commas, and one of them is chosen at random.
+ * Write the weight after the skill ID separated by a colon. The default weight is 1.
+ * Skill ID 0 means nothing happens.
+ * <StateEffect:3:50,4:30,5:20> // Skill [3] 50%, [4] 30%, [5] 20%
+ * <StateEffect:0:2,3:1>        // Skill [3] with a probability of 1 in 3
+ *
+ * The following conditions can be added. They apply to all state effect tags of the state.
+ * When multiple conditions are specified, all of them must be met.
+ *
+ * Applies the effect with the specified probability (1-100).
+ * <StateEffectChance:50>
+ *
+ * Applies the effect only when switch [5] is ON.
+ * <StateEffectSwitch:5>
+ *
+ * Applies the effect only when the script returns true.
+ * "a" is the battler who applied the state, "b" is the battler with the state
+ * and "v" is the variable array. ">" cannot be used in the tag.
+ * <StateEffectCondition:b.hpRate() < 0.5>
+ *
+ * Applies the effect only in battle (Battle) or only on the map (Map).
+ * <StateEffectScene:Battle>
+ *
+ * If the skill of a state effect adds a state that has its own state effect,
+ * the effects are chained. Chains longer than the parameter "Max Chain Depth" are cut.
+ * A chain is also cut when the same state effect of the same battler appears in it again,
+ * such as two states that add each other.
+ * When a chain is cut, its contents are output to the console. (Press F8 to check.)
+ *
+ * States can be stacked by writing the following in the state's memo field.
+ * Each time the state is added while already active, its stack count increases by 1 up to 5.
+ * The stack count is displayed on the state icon and is reset when the state is removed.
+ * <MaxStacks:5>
+ *
+ * Applies skill [12] when the stack count reaches 2, and skill [13] when it reaches 3.
+ * The same options as StateEffect can be used.
+ * <StateEffectStack2:12>
+ * <StateEffectStack3:13>
+ *
+ * The state's traits are applied once for each stack.
+ * Rate traits are multiplied and additive traits are added for each stack.
+ * <StackTraits>
+ *
+ * The following scripts can be used in damage formulas, etc.
+ * b.stateStacks(4)           // Stack count of state [4]. (0 if not affected)
+ * b.consumeStateStacks(4, 2) // Consumes 2 stacks of state [4] and returns the consumed count.
+ * b.consumeStateStacks(4)    // Consumes all stacks of state [4] and returns the consumed count.
+ * When all stacks are consumed, the state is removed.
+ *
+ * State reactions can be registered in the parameter "State Reaction List".
+ * When the "Added State" is added to a battler that already has the "Existing State",
+ * the added state is not applied, the existing state is removed and the "Resulting State" is added.
+ * The "Reaction Skill" is applied in the same way as StateEffect,
+ * following the tags of the resulting state.
+ * Example: Wet + Shock -> Paralysis, Burn + Freeze -> Shatter
+ * Reactions only occur in the registered order.
+ * To react regardless of which state comes first, register both combinations.
  *　
  * This plugin requires the base plugin 'PluginCommonBase.js'.
  * 'PluginCommonBase.js' is located in the following folder under the RPG Maker MZ installation folder.
@@ -48,49 +185,618 @@
  *  This plugin is now yours.
  */
 
+/*~struct~Reaction:
+ *
+ * @param addedState
+ * @text Added State
+ * @desc The state being added.
+ * @default 0
+ * @type state
+ *
+ * @param existingState
+ * @text Existing State
+ * @desc The state the battler already has.
+ * @default 0
+ * @type state
+ *
+ * @param resultState
+ * @text Resulting State
+ * @desc The state added as a result of the reaction. If 0, no state is added.
+ * @default 0
+ * @type state
+ *
+ * @param skillId
+ * @text Reaction Skill
+ * @desc The skill applied when the reaction occurs. If 0, no skill is applied.
+ * @default 0
+ * @type skill
+ *
+ * @param message
+ * @text Battle Log Message
+ * @desc The message displayed in the battle log when the reaction occurs. %1 is replaced with the battler's name.
+ * @default
+ */
+
 (()=> {
     'use strict';
     const script = document.currentScript;
     const param = PluginManagerEx.createParameter(script);
+    if (!param.reactionList) {
+        param.reactionList = [];
+    }
+
+    const stateEffectChain = [];
+
+    const stateEffectTags = {
+        add     : ['ステート効果', 'StateEffect'],
+        remove  : ['ステート解除効果', 'StateEffectRemove'],
+        expire  : ['ステート満了効果', 'StateEffectExpire'],
+        dispel  : ['ステート打消効果', 'StateEffectDispel'],
+        turnEnd : ['ステートターン終了効果', 'StateEffectTurnEnd'],
+        reapply : ['ステート重ね掛け効果', 'StateEffectReapply']
+    };
+
+    const findStateEffectTags = function(trigger) {
+        const stack = trigger.match(/^stack(\d+)$/);
+        if (stack) {
+            return ['ステートスタック効果' + stack[1], 'StateEffectStack' + stack[1]];
+        }
+        return stateEffectTags[trigger];
+    };
+
+    const stackTraitsStates = {};
+
+    const isStackTraitsState = function(stateId) {
+        if (stackTraitsStates[stateId] === undefined) {
+            stackTraitsStates[stateId] = !!PluginManagerEx.findMetaValue($dataStates[stateId], ['スタック特徴', 'StackTraits']);
+        }
+        return stackTraitsStates[stateId];
+    };
 
     const _Game_BattlerBase_addNewState = Game_BattlerBase.prototype.addNewState;
     Game_BattlerBase.prototype.addNewState = function(stateId) {
         _Game_BattlerBase_addNewState.apply(this, arguments);
-        const skillId = PluginManagerEx.findMetaValue($dataStates[stateId] || {}, ['ステート効果', 'StateEffect']);
-        if (skillId) {
-            this.applyStateEffect(skillId);
+        this.recordStateCaster(stateId);
+        this.applyStateEffectByTrigger(stateId, 'add');
+    };
+
+    const _Game_BattlerBase_eraseState = Game_BattlerBase.prototype.eraseState;
+    Game_BattlerBase.prototype.eraseState = function(stateId) {
+        _Game_BattlerBase_eraseState.apply(this, arguments);
+        if (this._stateCasters) {
+            delete this._stateCasters[stateId];
+        }
+        if (this._stateStacks) {
+            delete this._stateStacks[stateId];
+        }
+    };
+
+    const _Game_BattlerBase_die = Game_BattlerBase.prototype.die;
+    Game_BattlerBase.prototype.die = function() {
+        const stateIds = this._states.clone();
+        const casters = stateIds.map(stateId => this.findStateCaster(stateId));
+        _Game_BattlerBase_die.apply(this, arguments);
+        stateIds.forEach((stateId, index) => {
+            if (!this.isStateAffected(stateId)) {
+                this.applyStateEffectByTrigger(stateId, 'remove', casters[index]);
+            }
+        });
+    };
+
+    const _Game_BattlerBase_clearStates = Game_BattlerBase.prototype.clearStates;
+    Game_BattlerBase.prototype.clearStates = function() {
+        _Game_BattlerBase_clearStates.apply(this, arguments);
+        this._stateCasters = {};
+        this._stateStacks = {};
+    };
+
+    const _Game_BattlerBase_allTraits = Game_BattlerBase.prototype.allTraits;
+    Game_BattlerBase.prototype.allTraits = function() {
+        const traits = _Game_BattlerBase_allTraits.apply(this, arguments);
+        return this.hasStackedStateTraits() ? traits.concat(this.stackedStateTraits()) : traits;
+    };
+
+    Game_BattlerBase.prototype.isStateTraitsStacked = function(stateId) {
+        return this.stateStacks(stateId) > 1 && isStackTraitsState(stateId);
+    };
+
+    Game_BattlerBase.prototype.hasStackedStateTraits = function() {
+        return this._states.some(stateId => this.isStateTraitsStacked(stateId));
+    };
+
+    Game_BattlerBase.prototype.stackedStateTraits = function() {
+        const traits = [];
+        this._states.forEach(stateId => {
+            if (this.isStateTraitsStacked(stateId)) {
+                for (let i = 1; i < this.stateStacks(stateId); i++) {
+                    traits.push(...$dataStates[stateId].traits);
+                }
+            }
+        });
+        return traits;
+    };
+
+    Game_BattlerBase.prototype.stateStacks = function(stateId) {
+        if (!this.isStateAffected(stateId)) {
+            return 0;
+        }
+        return (this._stateStacks && this._stateStacks[stateId]) || 1;
+    };
+
+    Game_BattlerBase.prototype.setStateStacks = function(stateId, stacks) {
+        if (!this._stateStacks) {
+            this._stateStacks = {};
         }
+        this._stateStacks[stateId] = stacks;
+        this.refresh();
     };
 
-    Game_BattlerBase.prototype.applyStateEffect = function(skillId) {
+    Game_BattlerBase.prototype.stateIconStacks = function() {
+        return this.states()
+            .filter(state => state.iconIndex > 0)
+            .map(state => this.stateStacks(state.id));
+    };
+
+    Game_BattlerBase.prototype.setStateCaster = function(caster) {
+        this._pendingStateCaster = caster;
+    };
+
+    Game_BattlerBase.prototype.pendingStateCaster = function() {
+        return this._pendingStateCaster || null;
+    };
+
+    Game_BattlerBase.prototype.recordStateCaster = function(stateId) {
+        if (!this._stateCasters) {
+            this._stateCasters = {};
+        }
+        const caster = this._pendingStateCaster;
+        if (!caster) {
+            delete this._stateCasters[stateId];
+        } else if (caster.isActor()) {
+            this._stateCasters[stateId] = {actorId: caster.actorId()};
+        } else {
+            this._stateCasters[stateId] = {enemyIndex: caster.index()};
+        }
+    };
+
+    Game_BattlerBase.prototype.findStateCaster = function(stateId) {
+        const data = this._stateCasters ? this._stateCasters[stateId] : null;
+        let caster = null;
+        if (data && data.actorId) {
+            caster = $gameActors.actor(data.actorId);
+        } else if (data && $gameParty.inBattle()) {
+            caster = $gameTroop.members()[data.enemyIndex];
+        }
+        return caster || this;
+    };
+
+    Game_BattlerBase.prototype.clearEnemyStateCasters = function() {
+        for (const stateId in this._stateCasters) {
+            if (!this._stateCasters[stateId].actorId) {
+                delete this._stateCasters[stateId];
+            }
+        }
+    };
+
+    Game_BattlerBase.prototype.applyStateEffectByTrigger = function(stateId, trigger, caster) {
+        const state = $dataStates[stateId] || {};
+        const value = PluginManagerEx.findMetaValue(state, findStateEffectTags(trigger));
+        if (!value) {
+            return;
+        }
+        caster = caster || this.findStateCaster(stateId);
+        if (this.checkStateEffectCondition(state, caster)) {
+            this.applyStateEffect(this.chooseStateEffectSkillId(value), caster, stateId);
+        }
+    };
+
+    Game_BattlerBase.prototype.checkStateEffectCondition = function(state, caster) {
+        const chance = PluginManagerEx.findMetaValue(state, ['ステート効果確率', 'StateEffectChance']);
+        const switchId = PluginManagerEx.findMetaValue(state, ['ステート効果スイッチ', 'StateEffectSwitch']);
+        const script = PluginManagerEx.findMetaValue(state, ['ステート効果条件', 'StateEffectCondition']);
+        const scene = PluginManagerEx.findMetaValue(state, ['ステート効果場面', 'StateEffectScene']);
+        const conditions = [];
+        conditions.push(() => chance && Math.randomInt(100) >= chance);
+        conditions.push(() => switchId && !$gameSwitches.value(switchId));
+        conditions.push(() => script && !this.evalStateEffectCondition(script, caster));
+        conditions.push(() => scene === 'Battle' && !$gameParty.inBattle());
+        conditions.push(() => scene === 'Map' && $gameParty.inBattle());
+        return !conditions.some(cond => cond.call(this));
+    };
+
+    Game_BattlerBase.prototype.evalStateEffectCondition = function(script, caster) {
+        try {
+            const a = caster;
+            const b = this;
+            const v = $gameVariables._data;
+            return eval(String(script));
+        } catch (e) {
+            console.error(e.stack);
+            return false;
+        }
+    };
+
+    Game_BattlerBase.prototype.chooseStateEffectSkillId = function(value) {
+        const candidates = String(value).split(',').map(item => {
+            const [skillId, weight] = item.split(':').map(Number);
+            return {skillId: skillId, weight: isNaN(weight) ? 1 : weight};
+        });
+        let random = Math.random() * candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+        const chosen = candidates.find(candidate => {
+            random -= candidate.weight;
+            return random < 0;
+        });
+        return (chosen || candidates[0]).skillId;
+    };
+
+    Game_BattlerBase.prototype.applyStateEffect = function(skillId, caster, stateId) {
         if (!$dataSkills[skillId]) {
             return;
         }
-        const action = new Game_Action(this);
+        const link = {battler: this, stateId: stateId, skillId: skillId};
+        if (this.isStateEffectChainCut(link)) {
+            return;
+        }
+        stateEffectChain.push(link);
+        try {
+            this.invokeStateEffect(skillId, caster, stateId);
+        } finally {
+            stateEffectChain.pop();
+        }
+    };
+
+    Game_BattlerBase.prototype.isStateEffectChainCut = function(link) {
+        if (stateEffectChain.length >= (param.maxChainDepth || 1)) {
+            this.reportStateEffectChain('The maximum chain depth has been reached.', link);
+            return true;
+        }
+        const cycle = stateEffectChain.some(item => item.battler === link.battler &&
+            item.stateId === link.stateId && item.skillId === link.skillId);
+        if (cycle) {
+            this.reportStateEffectChain('A cyclic chain has been detected.', link);
+            return true;
+        }
+        return false;
+    };
+
+    Game_BattlerBase.prototype.reportStateEffectChain = function(reason, link) {
+        const route = stateEffectChain.concat(link).map(item => {
+            const state = $dataStates[item.stateId];
+            const skill = $dataSkills[item.skillId];
+            return `${item.battler.name()} State[${item.stateId}:${state ? state.name : ''}] -> Skill[${item.skillId}:${skill.name}]`;
+        });
+        console.warn(`StateEffect: ${reason} The following chain has been cut.\n${route.join('\n => ')}`);
+    };
+
+    Game_BattlerBase.prototype.invokeStateEffect = function(skillId, caster, stateId) {
+        const action = new Game_Action(caster || this, true);
         action.setSkill(skillId);
-        action.applyStateEffect(this);
+        const state = $dataStates[stateId] || {};
+        const full = PluginManagerEx.findMetaValue(state, ['ステート効果完全実行', 'StateEffectFull']);
+        action.setStateEffectFull(param.fullExecution || !!full);
+        const scope = PluginManagerEx.findMetaValue(state, ['ステート効果範囲', 'StateEffectScope']);
+        const targets = action.makeStateEffectTargets(this, scope);
+        if (action.isStateEffectFull()) {
+            BattleManager.startStateEffect(action, targets);
+        }
+        targets.forEach(target => action.applyStateEffect(target));
+        action.applyGlobal();
+    };
+
+    const _Game_Battler_addState = Game_Battler.prototype.addState;
+    Game_Battler.prototype.addState = function(stateId) {
+        const reaction = this.isStateAddable(stateId) ? this.findStateReaction(stateId) : null;
+        if (reaction) {
+            this.reactState(reaction);
+            return;
+        }
+        const reapply = this.isStateAffected(stateId) && this.isStateAddable(stateId);
+        _Game_Battler_addState.apply(this, arguments);
+        if (reapply) {
+            this.recordStateCaster(stateId);
+            this.applyStateEffectByTrigger(stateId, 'reapply');
+            this.addStateStack(stateId);
+        }
+    };
+
+    Game_Battler.prototype.findStateReaction = function(stateId) {
+        return param.reactionList.find(reaction => reaction.addedState === stateId &&
+            this.isStateAffected(reaction.existingState)) || null;
     };
 
-    Game_Battler.prototype.setDummyResult = function() {
-        this._realResult = this._result;
-        this._result = new Game_ActionResult();
+    Game_Battler.prototype.reactState = function(reaction) {
+        const caster = this._pendingStateCaster;
+        this.removeState(reaction.existingState);
+        if (reaction.resultState) {
+            this.setStateCaster(caster);
+            this.addState(reaction.resultState);
+        }
+        if (reaction.message) {
+            BattleManager.displayStateReaction(this, reaction.message);
+        }
+        if (reaction.skillId) {
+            this.applyStateEffect(reaction.skillId, caster || this, reaction.resultState);
+        }
+        this.setStateCaster(caster);
+    };
+
+    Game_Battler.prototype.addStateStack = function(stateId) {
+        const maxStacks = PluginManagerEx.findMetaValue($dataStates[stateId], ['最大スタック', 'MaxStacks']) || 1;
+        const stacks = this.stateStacks(stateId);
+        if (this.isStateAffected(stateId) && stacks < maxStacks) {
+            this.setStateStacks(stateId, stacks + 1);
+            this.applyStateEffectByTrigger(stateId, 'stack' + (stacks + 1));
+        }
+    };
+
+    Game_Battler.prototype.consumeStateStacks = function(stateId, count) {
+        const stacks = this.stateStacks(stateId);
+        const consumed = count === undefined ? stacks : Math.min(count, stacks);
+        if (consumed >= stacks) {
+            this.removeState(stateId);
+        } else if (consumed > 0) {
+            this.setStateStacks(stateId, stacks - consumed);
+        }
+        return consumed;
+    };
+
+    const _Game_Battler_removeState = Game_Battler.prototype.removeState;
+    Game_Battler.prototype.removeState = function(stateId) {
+        const affected = this.isStateAffected(stateId);
+        const cause = this._stateRemoveCause;
+        const caster = this.findStateCaster(stateId);
+        _Game_Battler_removeState.apply(this, arguments);
+        if (affected && !this.isStateAffected(stateId) && cause !== 'battleEnd') {
+            this.applyStateEffectByTrigger(stateId, 'remove', caster);
+            if (cause) {
+                this.applyStateEffectByTrigger(stateId, cause, caster);
+            }
+        }
+    };
+
+    Game_Battler.prototype.setStateRemoveCause = function(cause) {
+        this._stateRemoveCause = cause;
+    };
+
+    Game_Battler.prototype.stateRemoveCause = function() {
+        return this._stateRemoveCause || null;
+    };
+
+    const _Game_Battler_removeStatesAuto = Game_Battler.prototype.removeStatesAuto;
+    Game_Battler.prototype.removeStatesAuto = function(timing) {
+        const prevCause = this.stateRemoveCause();
+        this.setStateRemoveCause('expire');
+        _Game_Battler_removeStatesAuto.apply(this, arguments);
+        this.setStateRemoveCause(prevCause);
+    };
+
+    const _Game_Battler_onTurnEnd = Game_Battler.prototype.onTurnEnd;
+    Game_Battler.prototype.onTurnEnd = function() {
+        const stateIds = this._states.clone();
+        _Game_Battler_onTurnEnd.apply(this, arguments);
+        stateIds.filter(stateId => this.isStateAffected(stateId))
+            .forEach(stateId => this.applyStateEffectByTrigger(stateId, 'turnEnd'));
+    };
+
+    const _Game_Battler_onBattleEnd = Game_Battler.prototype.onBattleEnd;
+    Game_Battler.prototype.onBattleEnd = function() {
+        const prevCause = this.stateRemoveCause();
+        this.setStateRemoveCause('battleEnd');
+        _Game_Battler_onBattleEnd.apply(this, arguments);
+        this.setStateRemoveCause(prevCause);
+        this.clearEnemyStateCasters();
+    };
+
+    Game_Battler.prototype.setDummyResult = function(result) {
+        if (!this._realResults) {
+            this._realResults = [];
+        }
+        this._realResults.push(this._result);
+        this._result = result || new Game_ActionResult();
     };
 
     Game_Battler.prototype.restoreResult = function() {
-        if (this._realResult) {
-            this._result = this._realResult;
-            this._realResult = null;
+        if (this._realResults && this._realResults.length > 0) {
+            this._result = this._realResults.pop();
         }
     };
 
+    Game_Battler.prototype.requestStateEffectPopup = function(result) {
+        if (!this._stateEffectPopups) {
+            this._stateEffectPopups = [];
+        }
+        this._stateEffectPopups.push(result);
+    };
+
+    Game_Battler.prototype.shiftStateEffectPopup = function() {
+        return this._stateEffectPopups ? this._stateEffectPopups.shift() : null;
+    };
+
+    Game_Action.prototype.setStateEffectFull = function(value) {
+        this._stateEffectFull = value;
+    };
+
+    Game_Action.prototype.isStateEffectFull = function() {
+        return !!this._stateEffectFull;
+    };
+
     Game_Action.prototype.applyStateEffect = function(target) {
+        if (this.isStateEffectFull()) {
+            this.executeStateEffect(target);
+            return;
+        }
         if (param.noDisplay) {
             target.setDummyResult();
         }
         this.item().effects.forEach(function(effect) {
             this.applyItemEffect(target, effect);
         }, this);
-        this.applyGlobal();
+        if (param.noDisplay) {
+            target.restoreResult();
+        }
+    };
+
+    Game_Action.prototype.executeStateEffect = function(target) {
+        const subject = this.subject();
+        target.setDummyResult();
+        if (subject !== target) {
+            subject.setDummyResult();
+        }
+        this.apply(target);
+        BattleManager.displayStateEffectResults(subject, target);
+        if (subject !== target) {
+            subject.restoreResult();
+        }
         target.restoreResult();
     };
+
+    Game_Action.prototype.makeStateEffectTargets = function(target, scope) {
+        switch (scope) {
+            case 'Caster':
+                return [this.subject()];
+            case 'Skill':
+                return this.makeTargets();
+            case 'TargetSkill':
+                return this.makeStateEffectTargetsFrom(target);
+            default:
+                return [target];
+        }
+    };
+
+    Game_Action.prototype.makeStateEffectTargetsFrom = function(battler) {
+        const action = new Game_Action(battler, true);
+        action.setSkill(this.item().id);
+        return action.makeTargets();
+    };
+
+    const _Game_Action_itemEffectRemoveState = Game_Action.prototype.itemEffectRemoveState;
+    Game_Action.prototype.itemEffectRemoveState = function(target, effect) {
+        const prevCause = target.stateRemoveCause();
+        target.setStateRemoveCause('dispel');
+        _Game_Action_itemEffectRemoveState.apply(this, arguments);
+        target.setStateRemoveCause(prevCause);
+    };
+
+    const _Game_Action_itemEffectAddState = Game_Action.prototype.itemEffectAddState;
+    Game_Action.prototype.itemEffectAddState = function(target, effect) {
+        const prevCaster = target.pendingStateCaster();
+        target.setStateCaster(this.subject());
+        _Game_Action_itemEffectAddState.apply(this, arguments);
+        target.setStateCaster(prevCaster);
+    };
+
+    BattleManager.startStateEffect = function(action, targets) {
+        if (this._logWindow && $gameParty.inBattle()) {
+            this._logWindow.startStateEffect(action.subject(), action, targets);
+        }
+    };
+
+    BattleManager.displayStateReaction = function(target, message) {
+        if (this._logWindow && $gameParty.inBattle()) {
+            this._logWindow.push('addText', String(message).format(target.name()));
+        }
+    };
+
+    BattleManager.displayStateEffectResults = function(subject, target) {
+        if (this._logWindow && $gameParty.inBattle()) {
+            this._logWindow.displayStateEffectResults(subject, target);
+        }
+    };
+
+    Window_BattleLog.prototype.startStateEffect = function(subject, action, targets) {
+        const item = action.item();
+        this.push('showAnimation', subject, targets.clone(), item.animationId);
+        this.displayAction(subject, item);
+    };
+
+    Window_BattleLog.prototype.displayStateEffectResults = function(subject, target) {
+        const result = target.result();
+        if (result.used) {
+            this.push('pushBaseLine');
+            this.displayCritical(target);
+            this.push('popupStateEffect', target, result);
+            this.displayDamage(target);
+            this.displayAffectedStatus(target);
+            this.displayFailure(target);
+            this.push('waitForNewLine');
+            this.push('popBaseLine');
+        }
+    };
+
+    Window_BattleLog.prototype.popupStateEffect = function(target, result) {
+        target.requestStateEffectPopup(result);
+    };
+
+    const _Sprite_Battler_updateDamagePopup = Sprite_Battler.prototype.updateDamagePopup;
+    Sprite_Battler.prototype.updateDamagePopup = function() {
+        this.setupStateEffectPopup();
+        _Sprite_Battler_updateDamagePopup.apply(this, arguments);
+    };
+
+    Sprite_Battler.prototype.setupStateEffectPopup = function() {
+        const result = this._battler.shiftStateEffectPopup();
+        if (!result) {
+            return;
+        }
+        this._battler.setDummyResult(result);
+        if (this._battler.isSpriteVisible() && this._battler.shouldPopupDamage()) {
+            this.createDamageSprite();
+        }
+        this._battler.restoreResult();
+    };
+
+    const _Sprite_StateIcon_initialize = Sprite_StateIcon.prototype.initialize;
+    Sprite_StateIcon.prototype.initialize = function() {
+        _Sprite_StateIcon_initialize.apply(this, arguments);
+        this.createStackSprite();
+    };
+
+    Sprite_StateIcon.prototype.createStackSprite = function() {
+        this._stackCount = 0;
+        this._stackSprite = new Sprite();
+        this._stackSprite.bitmap = new Bitmap(ImageManager.iconWidth, ImageManager.iconHeight);
+        this._stackSprite.anchor.x = 0.5;
+        this._stackSprite.anchor.y = 0.5;
+        this.addChild(this._stackSprite);
+    };
+
+    const _Sprite_StateIcon_updateIcon = Sprite_StateIcon.prototype.updateIcon;
+    Sprite_StateIcon.prototype.updateIcon = function() {
+        _Sprite_StateIcon_updateIcon.apply(this, arguments);
+        const stacks = this._iconIndex > 0 ? this._battler.stateIconStacks()[this._animationIndex] : 0;
+        this.updateStackCount(stacks || 0);
+    };
+
+    Sprite_StateIcon.prototype.updateStackCount = function(stacks) {
+        if (this._stackCount === stacks) {
+            return;
+        }
+        this._stackCount = stacks;
+        const bitmap = this._stackSprite.bitmap;
+        bitmap.clear();
+        if (stacks > 1) {
+            const height = bitmap.height / 2;
+            bitmap.fontSize = height;
+            bitmap.drawText(stacks, 0, height, bitmap.width, height, 'right');
+        }
+    };
+
+    const _Window_StatusBase_drawActorIcons = Window_StatusBase.prototype.drawActorIcons;
+    Window_StatusBase.prototype.drawActorIcons = function(actor, x, y, width) {
+        _Window_StatusBase_drawActorIcons.apply(this, arguments);
+        this.drawStateStacks(actor, x, y, width || 144);
+    };
+
+    Window_StatusBase.prototype.drawStateStacks = function(actor, x, y, width) {
+        const iconWidth = ImageManager.iconWidth;
+        const height = ImageManager.iconHeight / 2;
+        const fontSize = this.contents.fontSize;
+        this.contents.fontSize = height;
+        actor.stateIconStacks().slice(0, Math.floor(width / iconWidth)).forEach((stacks, index) => {
+            if (stacks > 1) {
+                this.contents.drawText(stacks, x + iconWidth * index, y + 2 + height, iconWidth, height, 'right');
+            }
+        });
+        this.contents.fontSize = fontSize;
+    };
 })();